@@ -4,7 +4,13 @@ import { PlayerBoard } from "./components/PlayerBoard";
 import { CommoditiesPage } from "./components/CommoditiesPage";
 import { CitiesPage } from "./components/CitiesPage";
 import { IndependentRailroadsPage } from "./components/IndependentRailroadsPage";
+import { RegionsPage } from "./components/RegionsPage";
+import { UpgradesPage } from "./components/UpgradesPage";
+import { ConnectionBonusesPage } from "./components/ConnectionBonusesPage";
 import { EditPlaytestDialog } from "./components/EditPlaytestDialog";
+import { GrowthReportDialog } from "./components/GrowthReport";
+import { BankruptcyDialog } from "./components/BankruptcyDialog";
+import { Scoreboard } from "./components/Scoreboard";
 import { useGame } from "./hooks/useGame";
 import { useLobbyStore } from "./stores/lobbyStore";
 
@@ -75,17 +81,31 @@ export function WoodAndSteelState({ gameManager, isBYODMode = false }) {
   const currentPhase = ctx.phase;
 
   // Handler for starting city pair selection
-  const handleStartingPairSelect = React.useCallback((pair) => {
-    const inputParameters = pair;
-    moves.generateStartingContract(inputParameters, playerID);
-    setInput("");
-  }, [moves, playerID, ctx.currentPlayer, ctx.phase, isBYODMode]);
+  const handleStartingRankingSubmit = React.useCallback(
+    (ranking, rankingPlayerID) => moves.submitStartingRanking(ranking, rankingPlayerID),
+    [moves]
+  );
 
   const handleToggleFulfilled = React.useCallback(
     (contractId) => moves.toggleContractFulfilled(contractId),
     [moves]
   );
 
+  const handleDiscard = React.useCallback(
+    (contractId) => moves.discardPrivateContract(contractId),
+    [moves]
+  );
+
+  const handleChooseOffered = React.useCallback(
+    (contractId) => moves.chooseOfferedContract(contractId),
+    [moves]
+  );
+
+  const handleBuildTrack = React.useCallback(
+    (routeKeys) => moves.buildTrack(routeKeys),
+    [moves]
+  );
+
   const handleDelete = React.useCallback(
     (contractId) => {
       const c = G.contracts.find((x) => x.id === contractId);
@@ -108,14 +128,8 @@ export function WoodAndSteelState({ gameManager, isBYODMode = false }) {
         moves.generateStartingContract(inputParameters, playerID);
         setInput("");
         break;
-      case "privateContract2":
-        moves.generatePrivateContract();
-        moves.generatePrivateContract();
-        break;
-      case "privateContract3":
-        moves.generatePrivateContract();
-        moves.generatePrivateContract();
-        moves.generatePrivateContract();
+      case "privateContracts":
+        moves.offerPrivateContracts();
         break;
       case "marketContract":
         moves.generateMarketContract();
@@ -132,6 +146,21 @@ export function WoodAndSteelState({ gameManager, isBYODMode = false }) {
           moves.acquireIndependentRailroad(railroadName);
         }
         break;
+      case "claimConnectionBonus":
+        moves.claimConnectionBonus(e.nativeEvent.submitter.value);
+        break;
+      case "claimFirstPlayer":
+        moves.claimFirstPlayer();
+        break;
+      case "borrowMoney":
+        moves.borrowMoney(Number(e.nativeEvent.submitter.value));
+        break;
+      case "repayDebt":
+        moves.repayDebt(Number(e.nativeEvent.submitter.value));
+        break;
+      case "buyEngine":
+        moves.buyEngine(e.nativeEvent.submitter.value, e.nativeEvent.submitter.dataset.replace || null);
+        break;
       case "endTurn":
         moves.endTurn();
         break;
@@ -155,6 +184,8 @@ export function WoodAndSteelState({ gameManager, isBYODMode = false }) {
             startingContractExists={startingContractExists}
             currentPhase={currentPhase}
             G={G}
+            currentPlayer={ctx.currentPlayer}
+            playOrder={ctx.playOrder}
             gameManager={gameManager}
             onNavigateToLobby={handleNavigateToLobby}
             onOpenEditPlaytest={() => setIsEditPlaytestDialogOpen(true)}
@@ -170,10 +201,7 @@ export function WoodAndSteelState({ gameManager, isBYODMode = false }) {
             ctx={ctx}
             moves={moves}
           />
-          <div className="padding-xl text-center">
-            <h1>Scoring Phase</h1>
-            <p>Game scoring will be implemented here.</p>
-          </div>
+          <Scoreboard G={G} />
         </form>
       </div>
     );
@@ -189,6 +217,8 @@ export function WoodAndSteelState({ gameManager, isBYODMode = false }) {
             startingContractExists={startingContractExists}
             currentPhase={currentPhase}
             G={G}
+            currentPlayer={ctx.currentPlayer}
+            playOrder={ctx.playOrder}
             gameManager={gameManager}
             onNavigateToLobby={handleNavigateToLobby}
             onOpenEditPlaytest={() => setIsEditPlaytestDialogOpen(true)}
@@ -204,6 +234,19 @@ export function WoodAndSteelState({ gameManager, isBYODMode = false }) {
             ctx={ctx}
             moves={moves}
           />
+          {G.growthReportPending && G.growthReports?.length > 0 && (
+            <GrowthReportDialog report={G.growthReports.at(-1)} onAcknowledge={() => moves.acknowledgeGrowthReport()} />
+          )}
+          {currentPhase === 'bankruptcy' && (
+            <BankruptcyDialog
+              G={G}
+              playerID={playerID}
+              isBYODMode={isBYODMode}
+              onSell={(routeKeys) => moves.sellBankruptTrack(routeKeys)}
+              onBid={(amount, routeKey, bidderID) => moves.bidForTrack(amount, routeKey, bidderID)}
+              onPass={(routeKey, bidderID) => moves.passOnTrack(routeKey, bidderID)}
+            />
+          )}
           {activeTab === 'board' && (
             <PlayerBoard
               G={G}
@@ -212,14 +255,20 @@ export function WoodAndSteelState({ gameManager, isBYODMode = false }) {
               isBYODMode={isBYODMode}
               startingContractExists={startingContractExists}
               currentPhase={currentPhase}
-              onStartingPairSelect={handleStartingPairSelect}
+              onStartingRankingSubmit={handleStartingRankingSubmit}
               onToggleFulfilled={handleToggleFulfilled}
               onDelete={handleDelete}
+              onDiscard={handleDiscard}
+              onChooseOffered={handleChooseOffered}
+              onBuildTrack={handleBuildTrack}
             />
           )}
           {activeTab === 'commodities' && <CommoditiesPage />}
           {activeTab === 'cities' && <CitiesPage G={G} ctx={ctx} playerID={playerID} />}
           {activeTab === 'indies' && <IndependentRailroadsPage />}
+          {activeTab === 'regions' && <RegionsPage G={G} playerID={playerID} />}
+          {activeTab === 'upgrades' && <UpgradesPage />}
+          {activeTab === 'bonuses' && <ConnectionBonusesPage />}
         </div>
       </form>
     </div>
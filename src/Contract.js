@@ -2,6 +2,8 @@ import { cities, commodities } from "./data";
 import { shortestDistance, citiesConnectedTo } from "./utils/graph";
 import { cardinalDirection } from "./utils/geo";
 import { weightedRandom, randomSetItem } from "./utils/random";
+import { privateContractCommodityWeights } from "./monopolies";
+import { hubOwners } from "./upgrades";
 
 /**
  * @typedef {Object} Contract
@@ -11,6 +13,7 @@ import { weightedRandom, randomSetItem } from "./utils/random";
  * @property {string} commodity
  * @property {boolean} fulfilled
  * @property {any} playerID
+ * @property {Object} [settlement] - money collected when fulfilled, from contractSettlement() in finance.js
  */
 
 /**
@@ -141,13 +144,39 @@ export function generatePrivateContract(G, ctx) {
   })
   cities.get(contractCity).commodities.forEach(commodity => { availableCommodities.delete(commodity); });
 
-  // Pick a commodity for the contract
-  const contractCommodity = randomSetItem(availableCommodities);
+  // Pick a commodity for the contract, favoring any monopoly the player holds near their latest delivery
+  const contractCommodity = weightedRandom(
+    privateContractCommodityWeights(G, ctx.currentPlayer, currentCityKey, availableCommodities)
+  );
 
   return newContract(contractCity, contractCommodity, { type: "private", playerID: ctx.currentPlayer });
 };
 
 
+// Attempts per offered contract before settling for a smaller offer
+const OFFER_ATTEMPTS_PER_CONTRACT = 10;
+
+/**
+ * Create several different private contracts for the current player to choose between
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {*} ctx - Game context
+ * @param {number} size - How many contracts to offer
+ * @returns {Contract[]} - up to size contracts, no two with the same commodity and destination
+ */
+export function generatePrivateContractOffer(G, ctx, size) {
+  const offer = [];
+  for (let attempt = 0; offer.length < size && attempt < size * OFFER_ATTEMPTS_PER_CONTRACT; attempt++) {
+    const contract = generatePrivateContract(G, ctx);
+    if (contract && !offer.some(c => c.destinationKey === contract.destinationKey && c.commodity === contract.commodity)) {
+      offer.push(contract);
+    }
+  }
+  return offer;
+}
+
+
 /**
  * Create a market contract from the given active cities
  *
@@ -304,7 +333,8 @@ export function newContract(destinationKey, commodity, options = {}) {
 
 
 /**
- * Returns the value of a city
+ * Returns the value of a city. A hub city is also worth the value of each city directly connected to it,
+ * except neighboring hubs.
  * 
  * @param {*} G
  * @param {string} cityKey 
@@ -318,6 +348,31 @@ export function valueOfCity(G, cityKey) {
     return undefined;
   }
 
+  const hubs = hubOwners(G);
+  if (!hubs.has(cityKey)) {
+    return baseValueOfCity(G, cityKey);
+  }
+
+  let value = baseValueOfCity(G, cityKey);
+  citiesConnectedTo([cityKey]).forEach(neighborKey => {
+    if (!hubs.has(neighborKey)) {
+      value += baseValueOfCity(G, neighborKey);
+    }
+  });
+
+  return value;
+}
+
+
+/**
+ * Value of a city on its own, before any hub bonus
+ * 
+ * @param {*} G
+ * @param {string} cityKey 
+ * @returns {number}
+ */
+function baseValueOfCity(G, cityKey) {
+  const city = cities.get(cityKey);
   let contractsFulfilledHere = 0, contractsWithCommoditiesFromHere = 0;
 
   G.contracts.forEach(contract => {
@@ -385,3 +440,25 @@ export function railroadTieValue(contract) {
   
   return Math.min(...values);
 }
+
+
+/**
+ * Bonus railroad ties for delivering to a West Coast city: 3 for the first player to do it, 2 for each
+ * player after that. Each player earns the bonus only once.
+ *
+ * @param {*} G - Game state object
+ * @param {*} playerID - player fulfilling the contract
+ * @param {Contract} contract - contract being fulfilled
+ * @returns {number}
+ */
+export function westCoastBonus(G, playerID, contract) {
+  if (!cities.get(contract.destinationKey)?.westCoast) {
+    return 0;
+  }
+
+  const bonusContracts = G.contracts.filter(c => c.fulfilled && c.settlement?.westCoastBonus > 0);
+  if (bonusContracts.some(c => c.playerID === playerID)) {
+    return 0;
+  }
+  return bonusContracts.length === 0 ? 3 : 2;
+}
@@ -1,4 +1,5 @@
-import { generateMarketContract, rewardValue, newContract } from './Contract';
+import { vi } from 'vitest';
+import { generateMarketContract, generatePrivateContractOffer, rewardValue, newContract, westCoastBonus, valueOfCity } from './Contract';
 
 describe('generateMarketContract', () => {
   test('generates market contracts with value of at least $6000', () => {
@@ -25,6 +26,35 @@ describe('generateMarketContract', () => {
   });
 });
 
+describe('generatePrivateContractOffer', () => {
+  const G = {
+    contracts: [],
+    players: [['0', { activeCities: ['New York', 'Philadelphia', 'Pittsburgh'], upgrades: [] }]],
+  };
+  const ctx = { currentPlayer: '0' };
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('offers different contracts for the current player', () => {
+    for (let i = 0; i < 10; i++) {
+      const offer = generatePrivateContractOffer(G, ctx, 3);
+      expect(offer.length).toBeGreaterThan(0);
+      expect(offer.length).toBeLessThanOrEqual(3);
+      expect(offer.every(contract => contract.type === 'private' && contract.playerID === '0')).toBe(true);
+      const kinds = offer.map(({ destinationKey, commodity }) => `${commodity} to ${destinationKey}`);
+      expect(new Set(kinds).size).toBe(kinds.length);
+    }
+  });
+
+  test('gives up on duplicates instead of offering the same contract twice', () => {
+    // With no randomness every contract generated is the same one
+    vi.spyOn(Math, 'random').mockReturnValue(0.5);
+    expect(generatePrivateContractOffer(G, ctx, 3)).toHaveLength(1);
+  });
+});
+
 describe('rewardValue', () => {
   test('calculates correct dollar value based on distance', () => {
     // Create a valid contract using newContract with a valid commodity
@@ -38,3 +68,43 @@ describe('rewardValue', () => {
     }
   });
 });
+
+describe('westCoastBonus', () => {
+  const seattle = { ...newContract('Seattle', 'coal', { type: 'market' }), fulfilled: true };
+
+  test('awards 3 ties to the first player to deliver to the West Coast', () => {
+    expect(westCoastBonus({ contracts: [] }, '0', seattle)).toBe(3);
+  });
+
+  test('awards 2 ties to later players and nothing to a player who already has it', () => {
+    const G = { contracts: [{ ...seattle, playerID: '0', settlement: { westCoastBonus: 3 } }] };
+    expect(westCoastBonus(G, '1', seattle)).toBe(2);
+    expect(westCoastBonus(G, '0', seattle)).toBe(0);
+  });
+
+  test('awards nothing for deliveries away from the West Coast', () => {
+    const chicago = newContract('Chicago', 'fish', { type: 'market' });
+    expect(westCoastBonus({ contracts: [] }, '0', chicago)).toBe(0);
+  });
+});
+
+describe('valueOfCity', () => {
+  const game = (upgrades0, upgrades1 = []) => ({
+    contracts: [],
+    players: [['0', { upgrades: upgrades0 }], ['1', { upgrades: upgrades1 }]],
+  });
+
+  test('adds the value of directly connected cities to a hub', () => {
+    const plain = game([]);
+    const neighbors = ['Cincinnati', 'Cleveland', 'Des Moines', 'Detroit', 'Milwaukee', 'Saint Louis'];
+    const expected = valueOfCity(plain, 'Chicago') + neighbors.reduce((sum, key) => sum + valueOfCity(plain, key), 0);
+    expect(valueOfCity(game([{ name: 'Hub', option: 'Chicago' }]), 'Chicago')).toBe(expected);
+  });
+
+  test('gives no bonus between neighboring hubs', () => {
+    const plain = game([]);
+    const oneHub = game([{ name: 'Hub', option: 'Chicago' }]);
+    const twoHubs = game([{ name: 'Hub', option: 'Chicago' }], [{ name: 'Hub', option: 'Milwaukee' }]);
+    expect(valueOfCity(twoHubs, 'Chicago')).toBe(valueOfCity(oneHub, 'Chicago') - valueOfCity(plain, 'Milwaukee'));
+  });
+});
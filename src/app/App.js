@@ -4,7 +4,7 @@ import { StorageProvider, useStorage } from '../providers/StorageProvider';
 import { WoodAndSteelState } from '../Board';
 import { LobbyScreen } from '../components/LobbyScreen';
 import { WaitingForPlayersScreen } from '../components/WaitingForPlayersScreen';
-import { useGameStore } from '../stores/gameStore';
+import { useGameStore, createPlayerProps } from '../stores/gameStore';
 import { useLobbyStore } from '../stores/lobbyStore';
 import { 
   createNewGame,
@@ -19,6 +19,7 @@ import {
 } from '../utils/gameManager';
 import { checkPhaseTransition } from '../stores/phaseManager';
 import { initializeIndependentRailroads } from '../independentRailroads';
+import { generateConnectionBonuses } from '../connectionBonuses';
 // Import test utilities in development
 if (!import.meta.env.PROD) {
   import('../utils/storage/testMigration');
@@ -272,8 +273,8 @@ const AppContent = () => {
         
         // Initialize independent railroads
         const { G, ctx } = useGameStore.getState();
-        const independentRailroads = initializeIndependentRailroads();
-        const initializedG = { ...G, independentRailroads };
+        const independentRailroads = initializeIndependentRailroads(validNumPlayers);
+        const initializedG = { ...G, independentRailroads, connectionBonuses: generateConnectionBonuses() };
         useGameStore.setState({ G: initializedG });
         
         // Save the properly initialized state to storage
@@ -332,7 +333,7 @@ const AppContent = () => {
           const seat = deviceId ? playerSeats[deviceId] : null;
           const playerName = seat?.playerName || `Player ${i}`;
           
-          return [playerID, { name: playerName, activeCities: [] }];
+          return [playerID, createPlayerProps(playerName)];
         });
         
         console.info('[App] Initialized players for BYOD game:', players);
@@ -342,13 +343,17 @@ const AppContent = () => {
       // This is done by the host when starting the BYOD game
       const independentRailroads = (G.independentRailroads && Object.keys(G.independentRailroads).length > 0)
         ? G.independentRailroads
-        : initializeIndependentRailroads();
+        : initializeIndependentRailroads(players.length);
+      const connectionBonuses = (G.connectionBonuses ?? []).length > 0
+        ? G.connectionBonuses
+        : generateConnectionBonuses();
       
       // Set the byodGameStarted flag to trigger phase transition
       const updatedG = {
         ...G,
         players,
         independentRailroads,
+        connectionBonuses,
         byodGameStarted: true
       };
       
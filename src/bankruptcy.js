@@ -0,0 +1,393 @@
+/**
+ * Bankruptcy: a player who can't pay debt service returns railroad ties, sells track to the bank to cover
+ * what they owe, and the other players auction that track off one segment at a time
+ */
+
+import { routes } from "./data";
+import { trackPrice } from "./trackCost";
+import { citiesOfRailroad } from "./independentRailroads";
+
+/**
+ * @typedef {Object} TrackAuction
+ * @property {string} starter - ID of the player who chooses the lot and bids first
+ * @property {string|null} routeKey - The lot being auctioned, or null until the starter chooses one
+ * @property {string[]} order - IDs of the bidders, clockwise from the starter
+ * @property {string[]} passed - IDs of bidders who have passed and can't re-enter
+ * @property {number|null} highBid
+ * @property {string|null} highBidder
+ * @property {string} bidder - ID of the player whose turn it is to bid or pass
+ */
+
+/**
+ * @typedef {Object} Bankruptcy
+ * @property {string} playerID - The bankrupt player
+ * @property {number} amountDue - Shortfall plus the bank's penalty, to be covered by selling track
+ * @property {number} tiesReturned
+ * @property {Array<{routeKey: string, parallel: boolean, price: number}>|null} lots - Track sold to the bank
+ *   and not yet auctioned; null until the bankrupt player has chosen what to sell
+ * @property {number} lotsAuctioned - How many lots have been auctioned so far
+ * @property {TrackAuction|null} auction - The auction in progress
+ * @property {string[]} playOrder - Seating order, for bidding clockwise from the bankrupt player's left
+ */
+
+// A bankrupt player returns this many railroad ties to the supply
+export const BANKRUPTCY_TIES = 5;
+
+// The bank charges this on top of the shortfall for continuing to handle the player's debt
+export const BANKRUPTCY_PENALTY = 5000;
+
+// Each bid must beat the last by at least this much
+export const MIN_RAISE = 1000;
+
+
+/**
+ * ID of a player who is bankrupt and hasn't been through bankruptcy yet, or null
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @returns {string|null}
+ */
+export function bankruptPlayer(G) {
+  return G.players.find(([, props]) => (props.shortfall ?? 0) > 0)?.[0] ?? null;
+}
+
+
+/**
+ * Puts a player into bankruptcy: they return their railroad ties and owe the shortfall plus the penalty.
+ * G.players and G.bankruptcy are changed in place.
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {string} playerID - The bankrupt player
+ * @param {string[]} playOrder - from ctx
+ */
+export function startBankruptcy(G, playerID, playOrder) {
+  const playerProps = G.players.find(([id]) => id === playerID)[1];
+  const tiesReturned = Math.min(BANKRUPTCY_TIES, playerProps.railroadTies ?? 0);
+
+  G.players = G.players.map(([id, props]) =>
+    id === playerID ? [id, { ...props, railroadTies: (props.railroadTies ?? 0) - tiesReturned }] : [id, props]
+  );
+  G.bankruptcy = {
+    playerID,
+    amountDue: (playerProps.shortfall ?? 0) + BANKRUPTCY_PENALTY,
+    tiesReturned,
+    lots: null,
+    lotsAuctioned: 0,
+    auction: null,
+    playOrder: [...playOrder],
+  };
+}
+
+
+/**
+ * What the bank pays for a segment of the bankrupt player's track: what it cost to build at normal rates
+ *
+ * @export
+ * @param {{routeKey: string, parallel: boolean}} segment - from a player's track
+ * @returns {number}
+ */
+export function trackSalePrice(segment) {
+  return trackPrice(segment.routeKey, segment.parallel);
+}
+
+
+/**
+ * Returns a reason the bankrupt player cannot sell these segments, or null if they can. They must sell
+ * enough to cover what they owe, and no more segments than that takes, unless selling everything still
+ * falls short.
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {string[]} routeKeys - Routes of the bankrupt player's track to sell
+ * @returns {string|null}
+ */
+export function trackSaleError(G, routeKeys) {
+  const bankruptcy = G.bankruptcy;
+  if (!bankruptcy || bankruptcy.lots !== null) {
+    return "no track sale is due";
+  }
+  const track = G.players.find(([id]) => id === bankruptcy.playerID)[1].track ?? [];
+  if (!Array.isArray(routeKeys) || new Set(routeKeys).size !== routeKeys.length) {
+    return "choose each segment to sell once";
+  }
+  const segments = routeKeys.map(routeKey => track.find(segment => segment.routeKey === routeKey));
+  if (segments.some(segment => !segment)) {
+    return "you can only sell your own track";
+  }
+
+  const prices = segments.map(trackSalePrice);
+  const total = prices.reduce((sum, price) => sum + price, 0);
+  if (total < bankruptcy.amountDue && segments.length < track.length) {
+    return `sell at least $${bankruptcy.amountDue.toLocaleString()} of track`;
+  }
+  if (segments.length > 0 && total - Math.min(...prices) >= bankruptcy.amountDue) {
+    return "sell only as much track as it takes to cover what you owe";
+  }
+  return null;
+}
+
+
+/**
+ * Sells the bankrupt player's chosen track to the bank. Anything over what they owe goes to their cash;
+ * anything still owed after selling all their track is added to their debt. Their shortfall is cleared
+ * and the auction of the first lot begins.
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {string[]} routeKeys - Routes of the bankrupt player's track to sell
+ * @returns {{players: Array, independentRailroads: Object, bankruptcy: Bankruptcy|null, closedLots: Array<Object>}}
+ *   the updated parts of G, and any lots that closed without an auction
+ */
+export function sellTrack(G, routeKeys) {
+  const { playerID, amountDue } = G.bankruptcy;
+  const track = G.players.find(([id]) => id === playerID)[1].track ?? [];
+  const lots = track
+    .filter(segment => routeKeys.includes(segment.routeKey))
+    .map(segment => ({ routeKey: segment.routeKey, parallel: segment.parallel, price: trackSalePrice(segment) }));
+  const total = lots.reduce((sum, lot) => sum + lot.price, 0);
+
+  const players = G.players.map(([id, props]) => id === playerID
+    ? [id, {
+        ...props,
+        track: track.filter(segment => !routeKeys.includes(segment.routeKey)),
+        cash: (props.cash ?? 0) + Math.max(0, total - amountDue),
+        debt: (props.debt ?? 0) + Math.max(0, amountDue - total),
+        shortfall: 0,
+      }]
+    : [id, props]
+  );
+
+  return openNextLot({ ...G, players, bankruptcy: { ...G.bankruptcy, lots } }, []);
+}
+
+
+/**
+ * IDs of the players who bid for a lot, clockwise from the starter: the first lot starts with the player to
+ * the bankrupt player's left, the second with the player after that, and so on
+ *
+ * @param {*} G - Game state object
+ * @returns {string[]}
+ */
+function biddingOrder(G) {
+  const { playerID, lotsAuctioned, playOrder } = G.bankruptcy;
+  const seat = playOrder.indexOf(playerID);
+  const others = [...playOrder.slice(seat + 1), ...playOrder.slice(0, seat)];
+  const start = others.length > 0 ? lotsAuctioned % others.length : 0;
+  return [...others.slice(start), ...others.slice(0, start)];
+}
+
+
+/**
+ * Starts the auction for the next lot, or ends the bankruptcy when there are none left. With nobody to bid,
+ * every lot goes unsold.
+ *
+ * @param {*} G - Game state object
+ * @param {Array<Object>} closedLots - Lots closed so far by this action
+ * @returns {{players: Array, independentRailroads: Object, bankruptcy: Bankruptcy|null, closedLots: Array<Object>}}
+ */
+function openNextLot(G, closedLots) {
+  const { lots } = G.bankruptcy;
+  if (lots.length === 0) {
+    return { players: G.players, independentRailroads: G.independentRailroads, bankruptcy: null, closedLots };
+  }
+
+  const order = biddingOrder(G);
+  if (order.length === 0) {
+    const [lot, ...rest] = lots;
+    const closed = closeLot(G, lot, null, null);
+    return openNextLot({ ...closed, bankruptcy: { ...G.bankruptcy, lots: rest } }, [...closedLots, closed.result]);
+  }
+
+  return {
+    players: G.players,
+    independentRailroads: G.independentRailroads,
+    bankruptcy: {
+      ...G.bankruptcy,
+      auction: { starter: order[0], routeKey: null, order, passed: [], highBid: null, highBidder: null, bidder: order[0] },
+    },
+    closedLots,
+  };
+}
+
+
+/**
+ * Hands a lot to the winning bidder, or, if nobody bid, to an independent railroad it connects to. Unsold
+ * track with no connected independent railroad is removed.
+ *
+ * @param {*} G - Game state object
+ * @param {{routeKey: string, parallel: boolean, price: number}} lot
+ * @param {string|null} winner
+ * @param {number|null} bid
+ * @returns {{players: Array, independentRailroads: Object, result: Object}}
+ */
+function closeLot(G, lot, winner, bid) {
+  if (winner !== null) {
+    return {
+      ...G,
+      players: G.players.map(([id, props]) => id === winner
+        ? [id, {
+            ...props,
+            cash: (props.cash ?? 0) - bid,
+            track: [...(props.track ?? []), { routeKey: lot.routeKey, parallel: lot.parallel }],
+          }]
+        : [id, props]
+      ),
+      result: { routeKey: lot.routeKey, winner, bid },
+    };
+  }
+
+  const routeCities = routes.get(lot.routeKey).cities;
+  const connected = Object.values(G.independentRailroads ?? {}).find(railroad =>
+    routeCities.some(cityKey => citiesOfRailroad(railroad).has(cityKey))
+  );
+  if (!connected) {
+    return { ...G, result: { routeKey: lot.routeKey, removed: true } };
+  }
+  return {
+    ...G,
+    independentRailroads: {
+      ...G.independentRailroads,
+      [connected.name]: {
+        ...connected,
+        routes: connected.routes.includes(lot.routeKey) ? connected.routes : [...connected.routes, lot.routeKey],
+      },
+    },
+    result: { routeKey: lot.routeKey, independentRailroad: connected.name },
+  };
+}
+
+
+/**
+ * The least a player can bid on the lot: its normal price to open, then the high bid plus the minimum raise
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {string} [routeKey] - The lot, if the starter is still choosing one
+ * @returns {number}
+ */
+export function minimumBid(G, routeKey) {
+  const { lots, auction } = G.bankruptcy;
+  if (auction.highBid !== null) {
+    return auction.highBid + MIN_RAISE;
+  }
+  return lots.find(lot => lot.routeKey === (auction.routeKey ?? routeKey))?.price ?? 0;
+}
+
+
+/**
+ * Returns a reason the player cannot bid or pass now, or null if they can. The starter must choose the lot
+ * with their first bid or pass.
+ *
+ * @param {*} G - Game state object
+ * @param {string} playerID
+ * @param {string} [routeKey] - The lot, when the starter is choosing one
+ * @returns {string|null}
+ */
+function auctionTurnError(G, playerID, routeKey) {
+  const auction = G.bankruptcy?.auction;
+  if (!auction) {
+    return "no track is being auctioned";
+  }
+  if (auction.bidder !== playerID) {
+    return "it isn't your turn to bid";
+  }
+  if (auction.routeKey === null && !G.bankruptcy.lots.some(lot => lot.routeKey === routeKey)) {
+    return "choose which segment to auction";
+  }
+  return null;
+}
+
+
+/**
+ * Returns a reason the player cannot make this bid, or null if they can
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {string} playerID
+ * @param {number} amount - Dollars bid
+ * @param {string} [routeKey] - The lot, when the starter is choosing one
+ * @returns {string|null}
+ */
+export function bidError(G, playerID, amount, routeKey) {
+  const turnError = auctionTurnError(G, playerID, routeKey);
+  if (turnError) {
+    return turnError;
+  }
+  const lotRouteKey = G.bankruptcy.auction.routeKey ?? routeKey;
+  const playerProps = G.players.find(([id]) => id === playerID)[1];
+  const minimum = minimumBid(G, lotRouteKey);
+  if ((playerProps.track ?? []).some(segment => segment.routeKey === lotRouteKey)) {
+    return `you already have track on ${lotRouteKey}`;
+  }
+  if (!Number.isInteger(amount) || amount < minimum) {
+    return `bid at least $${minimum.toLocaleString()}`;
+  }
+  if ((playerProps.cash ?? 0) < amount) {
+    return "not enough cash for this bid";
+  }
+  return null;
+}
+
+
+/**
+ * Returns a reason the player cannot pass now, or null if they can
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {string} playerID
+ * @param {string} [routeKey] - The lot, when the starter is choosing one
+ * @returns {string|null}
+ */
+export function passError(G, playerID, routeKey) {
+  return auctionTurnError(G, playerID, routeKey);
+}
+
+
+/**
+ * Records a bid or pass and moves the auction on: to the next bidder still in, or, once only the high
+ * bidder is left or everyone has passed, to the next lot
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {string} playerID
+ * @param {number|null} amount - Dollars bid, or null to pass
+ * @param {string} [routeKey] - The lot, when the starter is choosing one
+ * @returns {{players: Array, independentRailroads: Object, bankruptcy: Bankruptcy|null, closedLots: Array<Object>}}
+ *   the updated parts of G, and the lot that closed, if any
+ */
+export function recordAuctionAction(G, playerID, amount, routeKey) {
+  const previous = G.bankruptcy.auction;
+  const auction = {
+    ...previous,
+    routeKey: previous.routeKey ?? routeKey,
+    passed: amount === null ? [...previous.passed, playerID] : previous.passed,
+    highBid: amount === null ? previous.highBid : amount,
+    highBidder: amount === null ? previous.highBidder : playerID,
+  };
+
+  const remaining = auction.order.filter(id => !auction.passed.includes(id));
+  if (remaining.length > 0 && !(remaining.length === 1 && remaining[0] === auction.highBidder)) {
+    const seat = auction.order.indexOf(playerID);
+    const next = [...auction.order.slice(seat + 1), ...auction.order.slice(0, seat + 1)]
+      .find(id => remaining.includes(id));
+    return {
+      players: G.players,
+      independentRailroads: G.independentRailroads,
+      bankruptcy: { ...G.bankruptcy, auction: { ...auction, bidder: next } },
+      closedLots: [],
+    };
+  }
+
+  const lot = G.bankruptcy.lots.find(l => l.routeKey === auction.routeKey);
+  const closed = closeLot(G, lot, auction.highBidder, auction.highBid);
+  return openNextLot({
+    ...closed,
+    bankruptcy: {
+      ...G.bankruptcy,
+      lots: G.bankruptcy.lots.filter(l => l !== lot),
+      lotsAuctioned: G.bankruptcy.lotsAuctioned + 1,
+      auction: null,
+    },
+  }, [closed.result]);
+}
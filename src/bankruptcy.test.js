@@ -0,0 +1,70 @@
+import { startBankruptcy, trackSaleError, sellTrack, bidError, recordAuctionAction } from './bankruptcy';
+
+const segment = routeKey => ({ routeKey, parallel: false });
+
+// Player 1 is $1,000 short; their track sells for $2,000 (Atlanta-Birmingham), $3,000 (Birmingham-Memphis)
+// and $3,000 (Atlanta-Savannah)
+function bankruptGame(independentRailroads = {}) {
+  const G = {
+    independentRailroads,
+    players: [
+      ['0', { name: 'A', cash: 10000, railroadTies: 8, track: [] }],
+      ['1', { name: 'B', cash: 0, debt: 20000, railroadTies: 3, shortfall: 1000,
+        track: [segment('Atlanta-Birmingham'), segment('Birmingham-Memphis'), segment('Atlanta-Savannah')] }],
+      ['2', { name: 'C', cash: 10000, railroadTies: 4, track: [] }],
+    ],
+  };
+  startBankruptcy(G, '1', ['0', '1', '2']);
+  return G;
+}
+
+describe('startBankruptcy', () => {
+  test('returns up to 5 ties and owes the shortfall plus $5,000', () => {
+    const G = bankruptGame();
+    expect(G.players[1][1].railroadTies).toBe(0);
+    expect(G.bankruptcy).toMatchObject({ playerID: '1', amountDue: 6000, tiesReturned: 3, lots: null });
+  });
+});
+
+describe('trackSaleError', () => {
+  test('sells enough track to cover what is owed, and no more', () => {
+    const G = bankruptGame();
+    expect(trackSaleError(G, ['Atlanta-Birmingham', 'Birmingham-Memphis'])).toMatch('at least $6,000');
+    expect(trackSaleError(G, ['Atlanta-Birmingham', 'Birmingham-Memphis', 'Atlanta-Savannah'])).toMatch('only as much');
+    expect(trackSaleError(G, ['Birmingham-Memphis', 'Atlanta-Savannah'])).toBeNull();
+  });
+});
+
+describe('track auction', () => {
+  test('starts left of the bankrupt player and sells to the last bidder standing', () => {
+    const G = bankruptGame();
+    const afterSale = { ...G, ...sellTrack(G, ['Birmingham-Memphis', 'Atlanta-Savannah']) };
+    expect(afterSale.players[1][1]).toMatchObject({ cash: 0, shortfall: 0, track: [segment('Atlanta-Birmingham')] });
+    expect(afterSale.bankruptcy.auction).toMatchObject({ starter: '2', bidder: '2', routeKey: null });
+
+    expect(bidError(afterSale, '2', 2000, 'Birmingham-Memphis')).toMatch('at least $3,000');
+    const opened = { ...afterSale, ...recordAuctionAction(afterSale, '2', 3000, 'Birmingham-Memphis') };
+    expect(opened.bankruptcy.auction).toMatchObject({ bidder: '0', highBid: 3000, routeKey: 'Birmingham-Memphis' });
+    expect(bidError(opened, '0', 3500)).toMatch('at least $4,000');
+
+    const sold = { ...opened, ...recordAuctionAction(opened, '0', null) };
+    expect(sold.closedLots).toEqual([{ routeKey: 'Birmingham-Memphis', winner: '2', bid: 3000 }]);
+    expect(sold.players[2][1]).toMatchObject({ cash: 7000, track: [segment('Birmingham-Memphis')] });
+    // The second lot starts with the second player to the left
+    expect(sold.bankruptcy.auction).toMatchObject({ starter: '0', routeKey: null });
+  });
+
+  test('gives unsold track to a connected independent railroad, or removes it', () => {
+    const G = bankruptGame({ 'Gulf RR': { name: 'Gulf RR', routes: ['Atlanta-Tallahassee'] } });
+    let state = { ...G, ...sellTrack(G, ['Birmingham-Memphis', 'Atlanta-Savannah']) };
+    state = { ...state, ...recordAuctionAction(state, '2', null, 'Atlanta-Savannah') };
+    state = { ...state, ...recordAuctionAction(state, '0', null) };
+    expect(state.closedLots).toEqual([{ routeKey: 'Atlanta-Savannah', independentRailroad: 'Gulf RR' }]);
+    expect(state.independentRailroads['Gulf RR'].routes).toEqual(['Atlanta-Tallahassee', 'Atlanta-Savannah']);
+
+    state = { ...state, ...recordAuctionAction(state, '0', null, 'Birmingham-Memphis') };
+    state = { ...state, ...recordAuctionAction(state, '2', null) };
+    expect(state.closedLots).toEqual([{ routeKey: 'Birmingham-Memphis', removed: true }]);
+    expect(state.bankruptcy).toBeNull();
+  });
+});
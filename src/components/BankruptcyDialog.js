@@ -0,0 +1,165 @@
+import React from "react";
+import { formatMoney } from "../finance";
+import {
+  BANKRUPTCY_PENALTY,
+  MIN_RAISE,
+  trackSalePrice,
+  trackSaleError,
+  minimumBid,
+  bidError,
+  passError,
+} from "../bankruptcy";
+
+/**
+ * Walks the table through a bankruptcy: the bankrupt player chooses which track to sell to the bank, then
+ * the other players take turns bidding on each segment or passing. Shown over the board until the last
+ * segment has been auctioned.
+ *
+ * @component
+ * @param {object} props
+ * @param {object} props.G - The game state object; G.bankruptcy is the bankruptcy in progress.
+ * @param {string|null} props.playerID - Player ID for this device (BYOD mode).
+ * @param {boolean} props.isBYODMode - Whether this is a BYOD game; in hotseat games, whoever's turn it is uses the device.
+ * @param {function} props.onSell - Called to sell track to the bank. Receives the route keys.
+ * @param {function} props.onBid - Called to bid. Receives the amount, the route key (when choosing the segment) and the bidder's player ID.
+ * @param {function} props.onPass - Called to pass. Receives the route key (when choosing the segment) and the player ID.
+ *
+ * @example
+ * <BankruptcyDialog G={G} playerID={playerID} isBYODMode={false} onSell={...} onBid={...} onPass={...} />
+ */
+export function BankruptcyDialog({ G, playerID, isBYODMode, onSell, onBid, onPass }) {
+  const bankruptcy = G.bankruptcy;
+  const auction = bankruptcy?.auction;
+
+  // Segments chosen to sell, the segment chosen to auction and the bid being entered
+  const [selling, setSelling] = React.useState([]);
+  const [lotChoice, setLotChoice] = React.useState(null);
+  const [amount, setAmount] = React.useState("");
+
+  const chosenLot = auction?.routeKey ?? lotChoice ?? bankruptcy?.lots?.[0]?.routeKey ?? null;
+  const minimum = auction ? minimumBid(G, chosenLot) : 0;
+  React.useEffect(() => setAmount(String(minimum)), [minimum, auction?.bidder]);
+
+  if (!bankruptcy) return null;
+
+  const playerName = (id) => G.players.find(([key]) => key === id)?.[1]?.name ?? `Player ${id}`;
+  const track = G.players.find(([id]) => id === bankruptcy.playerID)?.[1]?.track ?? [];
+  const canSell = !isBYODMode || playerID === bankruptcy.playerID;
+  const canBid = auction && (!isBYODMode || playerID === auction.bidder);
+  const choosingLot = auction && auction.routeKey === null;
+  const lotArgument = choosingLot ? chosenLot : null;
+
+  const toggleSelling = (routeKey) => setSelling(prev =>
+    prev.includes(routeKey) ? prev.filter(key => key !== routeKey) : [...prev, routeKey]
+  );
+  const saleTotal = track
+    .filter(segment => selling.includes(segment.routeKey))
+    .reduce((sum, segment) => sum + trackSalePrice(segment), 0);
+  const saleError = trackSaleError(G, selling);
+  const currentBidError = canBid ? bidError(G, auction.bidder, Number(amount), lotArgument) : null;
+  const currentPassError = canBid ? passError(G, auction.bidder, lotArgument) : null;
+
+  return (
+    <div className="modal">
+      <div className="modal__content">
+        <h2 className="modal__title">{playerName(bankruptcy.playerID)} is bankrupt</h2>
+        <p>
+          {playerName(bankruptcy.playerID)} returned {bankruptcy.tiesReturned} railroad ties and must sell track
+          worth {formatMoney(bankruptcy.amountDue)}: the shortfall plus a {formatMoney(BANKRUPTCY_PENALTY)} penalty.
+        </p>
+
+        {bankruptcy.lots === null && (canSell ? (
+          <div className="bankruptcy__sale">
+            {track.map(segment => (
+              <label key={segment.routeKey} className="bankruptcy__segment">
+                <input
+                  type="checkbox"
+                  checked={selling.includes(segment.routeKey)}
+                  onChange={() => toggleSelling(segment.routeKey)}
+                />
+                {segment.routeKey}{segment.parallel ? ' (parallel)' : ''}: {formatMoney(trackSalePrice(segment))}
+              </label>
+            ))}
+            <div className="modal__actions">
+              <span className="bankruptcy__total">Selling {formatMoney(saleTotal)}</span>
+              <button
+                type="button"
+                className="button"
+                disabled={saleError !== null}
+                title={saleError ?? undefined}
+                onClick={() => { onSell(selling); setSelling([]); }}
+              >
+                Sell to the Bank
+              </button>
+            </div>
+          </div>
+        ) : (
+          <p>Waiting for {playerName(bankruptcy.playerID)} to choose which track to sell.</p>
+        ))}
+
+        {auction && (
+          <div className="bankruptcy__auction">
+            <p>
+              Up for auction: {bankruptcy.lots.map(lot => `${lot.routeKey} (${formatMoney(lot.price)})`).join(', ')}
+            </p>
+            {auction.routeKey !== null && (
+              <p>
+                Bidding on {auction.routeKey}.{' '}
+                {auction.highBid !== null
+                  ? `High bid: ${formatMoney(auction.highBid)} by ${playerName(auction.highBidder)}.`
+                  : 'No bids yet.'}
+                {auction.passed.length > 0 && ` Passed: ${auction.passed.map(playerName).join(', ')}.`}
+              </p>
+            )}
+            {canBid ? (
+              <>
+                <p className="bankruptcy__turn">{playerName(auction.bidder)}, bid or pass</p>
+                {choosingLot && (
+                  <select
+                    className="bankruptcy__select"
+                    value={chosenLot ?? ''}
+                    onChange={(e) => setLotChoice(e.target.value)}
+                  >
+                    {bankruptcy.lots.map(lot => (
+                      <option key={lot.routeKey} value={lot.routeKey}>{lot.routeKey}</option>
+                    ))}
+                  </select>
+                )}
+                <div className="modal__actions">
+                  <input
+                    type="number"
+                    className="bankruptcy__bid"
+                    min={minimum}
+                    step={MIN_RAISE}
+                    value={amount}
+                    onChange={(e) => setAmount(e.target.value)}
+                  />
+                  <button
+                    type="button"
+                    className="button"
+                    disabled={currentBidError !== null}
+                    title={currentBidError ?? undefined}
+                    onClick={() => onBid(Number(amount), lotArgument, auction.bidder)}
+                  >
+                    Bid
+                  </button>
+                  <button
+                    type="button"
+                    className="button"
+                    disabled={currentPassError !== null}
+                    title={currentPassError ?? undefined}
+                    onClick={() => onPass(lotArgument, auction.bidder)}
+                  >
+                    Pass
+                  </button>
+                </div>
+              </>
+            ) : (
+              <p>Waiting for {playerName(auction.bidder)} to bid or pass.</p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
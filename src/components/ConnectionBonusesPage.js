@@ -0,0 +1,56 @@
+import React from "react";
+import { useGame } from "../hooks/useGame";
+import { connectionBonusClaimError } from "../connectionBonuses";
+
+/**
+ * Page component listing the connection bonuses: what each connects, the track needed and the railroad ties
+ * it's worth. The current player can claim a bonus once their track makes the connection; claimed bonuses
+ * show who claimed them.
+ *
+ * @component
+ *
+ * @example
+ * <ConnectionBonusesPage />
+ */
+export function ConnectionBonusesPage() {
+  const { G, ctx, playerID } = useGame();
+  const isPlayerTurn = playerID === ctx.currentPlayer;
+  const playerName = (id) => G.players.find(([key]) => key === id)?.[1]?.name ?? `Player ${id}`;
+
+  return (
+    <div className="pageContent">
+      <div className="connectionBonuses">
+        {(G.connectionBonuses ?? []).map((bonus) => {
+          const error = connectionBonusClaimError(G, ctx.currentPlayer, bonus.id);
+          return (
+            <div
+              key={bonus.id}
+              className={`connectionBonuses__item ${bonus.claimedBy !== null ? 'connectionBonuses__item--claimed' : ''}`}
+            >
+              <div className="connectionBonuses__header">
+                <div className="connectionBonuses__name">{bonus.name}</div>
+                <div className="connectionBonuses__ties">{bonus.ties} ties</div>
+                {isPlayerTurn && bonus.claimedBy === null && (
+                  <button
+                    name="claimConnectionBonus"
+                    value={bonus.id}
+                    className="button connectionBonuses__button"
+                    disabled={error !== null}
+                    title={error ?? undefined}
+                  >Claim</button>
+                )}
+              </div>
+              <div className="connectionBonuses__body">
+                <div>{bonus.from.join(", ")} to {bonus.to.join(", ")}</div>
+                <div className="connectionBonuses__detail">Needs at least {bonus.length} lengths of track</div>
+                {bonus.claimedBy !== null && (
+                  <div className="connectionBonuses__detail">Claimed by {playerName(bonus.claimedBy)}</div>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -28,6 +28,9 @@ function formatContractTieValue(contract) {
  * @param {function} props.onCloseOutside - Called when clicking outside the menu (used to prevent immediate reopening).
  * @param {function} props.onToggleFulfilled - Called when the contract's fulfilled state should be toggled. Receives the contract ID.
  * @param {function} props.onDelete - Called when the contract should be deleted. Receives the contract ID.
+ * @param {string|null} [props.claimError] - Why the player can't fulfill this contract (e.g. "requires Mogul"); shown in place of the Fulfill item.
+ * @param {function} [props.onDiscard] - Called to discard this private contract and draw new ones. Receives the contract ID. The item is left out when not given.
+ * @param {string|null} [props.discardError] - Why the player can't discard and draw now; shown on a disabled Discard item.
  * 
  * @example
  * <ContractDisplay
@@ -48,6 +51,9 @@ export function ContractDisplay({
   onCloseOutside,
   onToggleFulfilled,
   onDelete,
+  claimError = null,
+  onDiscard,
+  discardError = null,
 }) {
   const cardRef = React.useRef(null);
   const isClickable = typeof onCardClick === "function";
@@ -64,6 +70,11 @@ export function ContractDisplay({
     onClose();
   };
 
+  const handleDiscard = () => {
+    onDiscard(contract.id);
+    onClose();
+  };
+
   const handleDelete = () => {
     onDelete(contract.id);
     onClose();
@@ -107,9 +118,20 @@ export function ContractDisplay({
           anchorRef={cardRef}
           placement={{ side: "bottom", align: "center" }}
         >
-          <PopupMenuItem onClick={handleToggle}>
-            {contract.fulfilled ? "Unfulfill Contract" : "Fulfill Contract"}
-          </PopupMenuItem>
+          {claimError && !contract.fulfilled ? (
+            <PopupMenuItem disabled>Fulfill Contract ({claimError})</PopupMenuItem>
+          ) : (
+            <PopupMenuItem onClick={handleToggle}>
+              {contract.fulfilled ? "Unfulfill Contract" : "Fulfill Contract"}
+            </PopupMenuItem>
+          )}
+          {onDiscard && !contract.fulfilled && (
+            discardError ? (
+              <PopupMenuItem disabled>Discard and Draw ({discardError})</PopupMenuItem>
+            ) : (
+              <PopupMenuItem onClick={handleDiscard}>Discard and Draw</PopupMenuItem>
+            )
+          )}
           {!contract.fulfilled && (
             <PopupMenuItem onClick={handleDelete}>Delete</PopupMenuItem>
           )}
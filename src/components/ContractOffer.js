@@ -0,0 +1,35 @@
+import React from "react";
+import { ContractDisplay } from "./ContractDisplay";
+
+/**
+ * Displays the private contracts offered to a player side by side, each with a button to keep it.
+ * Keeping one discards the others.
+ * 
+ * @component
+ * @param {object} props
+ * @param {Array<object>} props.offer - The offered contracts (a player's pendingOffer).
+ * @param {boolean} props.isPlayerTurn - Whether the player can choose now; the Keep buttons are hidden otherwise.
+ * @param {function} props.onChoose - Called when a contract is kept. Receives the contract ID.
+ * 
+ * @example
+ * <ContractOffer offer={playerProps.pendingOffer} isPlayerTurn={true} onChoose={(id) => moves.chooseOfferedContract(id)} />
+ */
+export function ContractOffer({ offer, isPlayerTurn, onChoose }) {
+  return (
+    <div className="contractOffer">
+      <h3 className="playerBoard__contractsTitle">Choose one</h3>
+      <div className="contractsList">
+        {offer.map((contract) => (
+          <div key={contract.id} className="contractOffer__choice">
+            <ContractDisplay contract={contract} />
+            {isPlayerTurn && (
+              <button type="button" className="button" onClick={() => onChoose(contract.id)}>
+                Keep
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
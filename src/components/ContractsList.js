@@ -1,5 +1,7 @@
 import React from "react";
 import { ContractDisplay } from "./ContractDisplay";
+import { marketClaimError } from "../engines";
+import { turnActionError } from "../turnActions";
 
 const SKIP_OPEN_MS = 50;
 /**
@@ -10,6 +12,7 @@ const SKIP_OPEN_MS = 50;
  * @property {string|null} [playerID=null] - The player whose contracts to show.
  * @property {function} onToggleFulfilled - Called when a contract is toggled.
  * @property {function} onDelete - Called when a contract is deleted.
+ * @property {function} [onDiscard] - Called to discard a private contract and draw new ones. Receives the contract ID.
  */
 
 /**
@@ -35,10 +38,16 @@ export function ContractsList({
   playerID = null,
   onToggleFulfilled,
   onDelete,
+  onDiscard,
 }) {
   const [openContractId, setOpenContractId] = React.useState(null);
   const [skipNextContractOpenUntil, setSkipNextContractOpenUntil] = React.useState(0);
   const isPlayerTurn = playerID == null ? true : playerID === ctx.currentPlayer;
+  const claimingPlayerProps = G.players.find(([id]) => id === (playerID ?? ctx.currentPlayer))?.[1] ?? {};
+  const claimError = type === "market" ? marketClaimError(claimingPlayerProps) : null;
+  const discardError = claimingPlayerProps.pendingOffer
+    ? "choose an offered contract first"
+    : turnActionError(G, "discardPrivateContract");
 
   React.useEffect(() => {
     if (!isPlayerTurn) {
@@ -86,6 +95,9 @@ export function ContractsList({
           onCloseOutside={handleMenuCloseOutside}
           onToggleFulfilled={onToggleFulfilled}
           onDelete={onDelete}
+          claimError={claimError}
+          onDiscard={type === "private" ? onDiscard : undefined}
+          discardError={discardError}
         />
       ))}
     </div>
@@ -2,7 +2,8 @@ import React from "react";
 import { commodities, cities } from "../data";
 
 /**
- * Dialog component for playtest editing. Allows creating manual contracts and adding cities to players.
+ * Dialog component for playtest editing. Allows creating manual contracts, adding cities to players and
+ * acquiring independent railroads whether or not they're connected.
  * 
  * @component
  * @param {object} props
@@ -10,7 +11,7 @@ import { commodities, cities } from "../data";
  * @param {function} props.onClose - Callback function called when the dialog should be closed.
  * @param {object} props.G - The game state object.
  * @param {object} props.ctx - The game context.
- * @param {object} props.moves - Object containing game move functions (addManualContract, addCityToPlayer).
+ * @param {object} props.moves - Object containing game move functions (addManualContract, addCityToPlayer, acquireIndependentRailroad).
  * 
  * @example
  * <EditPlaytestDialog
@@ -26,6 +27,7 @@ export function EditPlaytestDialog({ isOpen, onClose, G, ctx, moves }) {
   const [selectedDestination, setSelectedDestination] = React.useState("");
   const [selectedType, setSelectedType] = React.useState("Private");
   const [selectedCity, setSelectedCity] = React.useState("");
+  const [selectedRailroad, setSelectedRailroad] = React.useState("");
 
   // Get all commodity names
   const commodityNames = Array.from(commodities.keys()).sort();
@@ -47,6 +49,7 @@ export function EditPlaytestDialog({ isOpen, onClose, G, ctx, moves }) {
       setSelectedDestination("");
       setSelectedType("Private");
       setSelectedCity("");
+      setSelectedRailroad("");
     }
   }, [isOpen]);
 
@@ -71,6 +74,15 @@ export function EditPlaytestDialog({ isOpen, onClose, G, ctx, moves }) {
     onClose();
   };
 
+  const handleAcquireRailroad = () => {
+    if (!selectedRailroad) {
+      return;
+    }
+
+    moves.acquireIndependentRailroad(selectedRailroad, true);
+    onClose();
+  };
+
   const handleBackdropClick = (e) => {
     if (e.target === e.currentTarget) {
       onClose();
@@ -179,6 +191,38 @@ export function EditPlaytestDialog({ isOpen, onClose, G, ctx, moves }) {
             </button>
           </div>
         </div>
+
+        <div className="editPlaytestDialog__form editPlaytestDialog__form--separated">
+          <div className="editPlaytestDialog__row">
+            <label htmlFor="railroad" className="editPlaytestDialog__label">
+              <b>Railroad:</b>
+            </label>
+            <select
+              id="railroad"
+              value={selectedRailroad}
+              onChange={(e) => setSelectedRailroad(e.target.value)}
+              className="editPlaytestDialog__select"
+            >
+              <option value="">-- Select a railroad --</option>
+              {Object.keys(G.independentRailroads).sort().map((name) => (
+                <option key={name} value={name}>
+                  {name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="modal__actions editPlaytestDialog__actions">
+            <button 
+              type="button" 
+              className="button" 
+              onClick={handleAcquireRailroad}
+              disabled={!selectedRailroad}
+            >
+              Acquire even if Not Connected
+            </button>
+          </div>
+        </div>
       </div>
     </div>
   );
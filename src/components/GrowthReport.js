@@ -0,0 +1,66 @@
+import React from "react";
+
+/**
+ * Lists how the independent railroads grew at the end of a round: new companies first, then the routes each
+ * existing company gained, so players can update the physical board.
+ * 
+ * @component
+ * @param {object} props
+ * @param {{round: number, extended: Object<string, string[]>, created: Object<string, string[]>}} props.report -
+ *   One entry of G.growthReports.
+ * 
+ * @example
+ * <GrowthReport report={G.growthReports.at(-1)} />
+ */
+export function GrowthReport({ report }) {
+  const created = Object.entries(report.created ?? {});
+  const extended = Object.entries(report.extended ?? {});
+
+  if (created.length === 0 && extended.length === 0) {
+    return <p className="growthReport__empty">No independent railroads grew this round.</p>;
+  }
+
+  return (
+    <ul className="growthReport">
+      {created.map(([name, routes]) => (
+        <li key={name} className="growthReport__railroad">
+          <span className="growthReport__name">{name}</span> (new): {routes.join(", ")}
+        </li>
+      ))}
+      {extended.map(([name, routes]) => (
+        <li key={name} className="growthReport__railroad">
+          <span className="growthReport__name">{name}</span>: {routes.join(", ")}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/**
+ * Dialog showing the latest end-of-round growth report. It can't be dismissed by clicking outside; a player
+ * has to acknowledge it before the next round starts.
+ * 
+ * @component
+ * @param {object} props
+ * @param {object} props.report - One entry of G.growthReports.
+ * @param {function} props.onAcknowledge - Called when a player acknowledges the report.
+ * 
+ * @example
+ * <GrowthReportDialog report={G.growthReports.at(-1)} onAcknowledge={() => moves.acknowledgeGrowthReport()} />
+ */
+export function GrowthReportDialog({ report, onAcknowledge }) {
+  return (
+    <div className="modal">
+      <div className="modal__content">
+        <h2 className="modal__title">Independent railroads, end of round {report.round}</h2>
+        <p>Add these segments to the board before the next round starts.</p>
+        <GrowthReport report={report} />
+        <div className="modal__actions">
+          <button type="button" className="button" onClick={onAcknowledge}>
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
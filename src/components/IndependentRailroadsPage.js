@@ -1,9 +1,20 @@
 import React from "react";
 import { useGame } from "../hooks/useGame";
+import { formatMoney } from "../finance";
+import { turnActionError } from "../turnActions";
+import { GrowthReport } from "./GrowthReport";
+import {
+  INDEPENDENT_PRICE_PER_SEGMENT,
+  INDEPENDENT_PRICE_PER_SEGMENT_WESTERN_BROKEN,
+  isWesternSectionBroken,
+  independentRailroadPrice,
+  acquisitionError,
+} from "../independentRailroads";
 
 /**
- * Page component displaying all independent railroad companies with their routes.
- * Each railroad can be acquired via the "Acquire" button.
+ * Page component displaying all independent railroad companies with their routes and prices.
+ * Each railroad connected to the current player's network can be acquired via the "Acquire" button; the
+ * others are greyed out with the reason. Past end-of-round growth reports are listed below, newest first.
  * 
  * @component
  * 
@@ -16,31 +27,60 @@ export function IndependentRailroadsPage() {
   
   // Convert object to array for rendering
   const railroadsArray = Object.values(G.independentRailroads);
+  const westernBroken = isWesternSectionBroken(G);
   
   return (
     <div className="pageContent">
       <div>
+        <p className="independentRailroads__pricing">
+          {westernBroken
+            ? `The western section has been broken: mergers cost ${formatMoney(INDEPENDENT_PRICE_PER_SEGMENT_WESTERN_BROKEN)} per segment.`
+            : `Mergers cost ${formatMoney(INDEPENDENT_PRICE_PER_SEGMENT)} per segment until the western section is broken.`}
+        </p>
         <div className="independentRailroads">
-          {railroadsArray.map((railroad) =>
-            <div key={railroad.name} className="independentRailroads__item">
-              <div className="independentRailroads__header">
-                <div className="independentRailroads__name">{railroad.name}</div>
-                {isPlayerTurn && (
-                  <button 
-                    name="acquireIndependentRailroad" 
-                    id={railroad.name} 
-                    className="button independentRailroads__button"
-                  >Acquire</button>
-                )}
+          {railroadsArray.map((railroad) => {
+            const error = turnActionError(G, "acquireIndependentRailroad") ?? acquisitionError(G, ctx.currentPlayer, railroad.name);
+            return (
+              <div
+                key={railroad.name}
+                className={`independentRailroads__item ${isPlayerTurn && error ? 'independentRailroads__item--unavailable' : ''}`}
+              >
+                <div className="independentRailroads__header">
+                  <div className="independentRailroads__name">{railroad.name}</div>
+                  <div className="independentRailroads__price">{formatMoney(independentRailroadPrice(G, railroad))}</div>
+                  {isPlayerTurn && (
+                    <button 
+                      name="acquireIndependentRailroad" 
+                      id={railroad.name} 
+                      className="button independentRailroads__button"
+                      disabled={error !== null}
+                      title={error ?? undefined}
+                    >Acquire</button>
+                  )}
+                </div>
+                <div className="independentRailroads__body">
+                  {railroad.routes.map((route, routeIndex) => (
+                    <div key={routeIndex} className="independentRailroads__route">{route}</div>
+                  ))}
+                  {isPlayerTurn && error && (
+                    <div className="independentRailroads__reason">Can't acquire: {error}</div>
+                  )}
+                </div>
               </div>
-              <div className="independentRailroads__body">
-                {railroad.routes.map((route, routeIndex) => (
-                  <div key={routeIndex} className="independentRailroads__route">{route}</div>
-                ))}
-              </div>
-            </div>
-          )}
+            );
+          })}
         </div>
+        {(G.growthReports ?? []).length > 0 && (
+          <div className="growthReports">
+            <h3>Growth by round</h3>
+            {[...G.growthReports].reverse().map((report, index) => (
+              <div key={index}>
+                <h4>Round {report.round}</h4>
+                <GrowthReport report={report} />
+              </div>
+            ))}
+          </div>
+        )}
       </div>
     </div>
   );
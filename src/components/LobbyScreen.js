@@ -244,6 +244,11 @@ export function LobbyScreen({ gameManager, onEnterGame, onNewGame }) {
     }
   };
 
+  // Format a completed game's results, e.g. "1. Alice (32), 2. Bob (28)"
+  const formatResults = (results) => {
+    return (results || []).map(({ name, rank, total }) => `${rank}. ${name} (${total})`).join(', ');
+  };
+
   return (
     <div className="lobbyScreen">
       <div className="lobbyScreen__content">
@@ -358,7 +363,14 @@ export function LobbyScreen({ gameManager, onEnterGame, onNewGame }) {
                       {game.code}
                       {game.code === selectedGameCode && ' (current)'}
                     </td>
-                    <td className="table__cell">{game.phase}</td>
+                    <td className="table__cell">
+                      {game.metadata?.completed ? (
+                        <>
+                          completed
+                          <div className="lobbyScreen__results">{formatResults(game.metadata.results)}</div>
+                        </>
+                      ) : game.phase}
+                    </td>
                     <td className="table__cell">{game.numPlayers}</td>
                     <td className="table__cell table__cell--hide-mobile">{formatLastModified(game.lastModified)}</td>
                     <td className="table__cell table__cell--delete">
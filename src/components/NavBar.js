@@ -2,6 +2,8 @@ import React from "react";
 import placeholderIcon from "../shared/assets/images/placeholder-icon.svg";
 import hamburgerIcon from "../shared/assets/images/hamburger-icon.svg";
 import { PopupMenu, PopupMenuItem } from "./PopupMenu";
+import { TieStandings } from "./TieStandings";
+import { NextRoundOrder } from "./NextRoundOrder";
 
 function useIsDesktop() {
   const [isDesktop, setIsDesktop] = React.useState(
@@ -25,12 +27,14 @@ function useIsDesktop() {
  * @param {string} props.input - Search input value (currently unused but kept for compatibility).
  * @param {function} props.setInput - Setter for search input (currently unused but kept for compatibility).
  * @param {boolean} props.startingContractExists - Whether starting contract exists (currently unused but kept for compatibility).
- * @param {'setup'|'play'|'scoring'} props.currentPhase - The current game phase.
+ * @param {'setup'|'play'|'bankruptcy'|'scoring'} props.currentPhase - The current game phase.
  * @param {object} props.G - The game state object.
+ * @param {string} [props.currentPlayer] - ID of the player whose turn it is, highlighted in the tie standings.
+ * @param {string[]} [props.playOrder] - This round's play order, from ctx; next round's order is shown during play.
  * @param {object} props.gameManager - Game manager instance with currentGameCode property.
  * @param {function} props.onNavigateToLobby - Called when user wants to navigate to the lobby.
  * @param {function} props.onOpenEditPlaytest - Called when user wants to open the edit playtest dialog.
- * @param {'board'|'commodities'|'indies'|'cities'} props.activeTab - The currently active tab ID.
+ * @param {'board'|'commodities'|'indies'|'cities'|'regions'|'upgrades'|'bonuses'} props.activeTab - The currently active tab ID.
  * @param {function} props.onTabChange - Called when a tab is clicked. Receives the tab ID.
  * 
  * @example
@@ -40,6 +44,8 @@ function useIsDesktop() {
  *   startingContractExists={true}
  *   currentPhase="play"
  *   G={G}
+ *   currentPlayer={ctx.currentPlayer}
+ *   playOrder={ctx.playOrder}
  *   gameManager={gameManager}
  *   onNavigateToLobby={() => navigateToLobby()}
  *   onOpenEditPlaytest={() => openEditDialog()}
@@ -47,7 +53,7 @@ function useIsDesktop() {
  *   onTabChange={(tabId) => setActiveTab(tabId)}
  * />
  */
-export function NavBar({ input, setInput, startingContractExists, currentPhase, G, gameManager, onNavigateToLobby, onOpenEditPlaytest, activeTab, onTabChange, showRailroadHint, onDismissHint }) {
+export function NavBar({ input, setInput, startingContractExists, currentPhase, G, currentPlayer, playOrder, gameManager, onNavigateToLobby, onOpenEditPlaytest, activeTab, onTabChange, showRailroadHint, onDismissHint }) {
   const [isMenuOpen, setIsMenuOpen] = React.useState(false);
   const menuButtonRef = React.useRef(null);
   const menuButtonDesktopRef = React.useRef(null);
@@ -152,6 +158,9 @@ export function NavBar({ input, setInput, startingContractExists, currentPhase,
     { id: "commodities", label: "Commodities" },
     { id: "indies", label: "Railroads" },
     { id: "cities", label: "Cities" },
+    { id: "regions", label: "Regions" },
+    { id: "upgrades", label: "Upgrades" },
+    { id: "bonuses", label: "Bonuses" },
   ];
 
   return (
@@ -214,6 +223,16 @@ export function NavBar({ input, setInput, startingContractExists, currentPhase,
           ))}
         </div>
 
+        {/* Desktop: Next round's play order at left edge, beside the menu button */}
+        {currentPhase === 'play' && G?.players && playOrder && (
+          <NextRoundOrder G={G} playOrder={playOrder} className="navBar__playOrder" />
+        )}
+
+        {/* Desktop: Railroad tie standings at right edge (mobile shows them on the player board) */}
+        {currentPhase !== 'setup' && G?.players && (
+          <TieStandings G={G} currentPlayer={currentPlayer} className="navBar__standings" />
+        )}
+
         {/* Mobile/Tablet: Bottom nav with icons and labels */}
         <div className="navBar__tabs--mobile">
           {tabs.map(tab => (
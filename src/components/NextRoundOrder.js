@@ -0,0 +1,34 @@
+import React from "react";
+import { nextRoundPlayOrder } from "../playOrder";
+
+/**
+ * Lists the order players will take their turns in next round, marking whoever took the "Go first next round" action.
+ * 
+ * @component
+ * @param {object} props
+ * @param {object} props.G - The game state object.
+ * @param {string[]} props.playOrder - This round's play order, from ctx.
+ * @param {string} [props.className] - Optional extra CSS class name for placement.
+ * 
+ * @example
+ * <NextRoundOrder G={G} playOrder={ctx.playOrder} />
+ */
+export function NextRoundOrder({ G, playOrder, className }) {
+  const playerName = (id) => G.players.find(([key]) => key === id)?.[1]?.name ?? `Player ${id}`;
+
+  return (
+    <div className={`nextRoundOrder ${className || ''}`}>
+      <span className="nextRoundOrder__label">Next round</span>
+      <ol className="nextRoundOrder__players" aria-label="Next round's play order">
+        {nextRoundPlayOrder(G, playOrder).map(id => (
+          <li
+            key={id}
+            className={`nextRoundOrder__player ${id === G.nextRoundFirstPlayer ? 'nextRoundOrder__player--claimed' : ''}`}
+          >
+            {playerName(id)}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
@@ -1,18 +1,20 @@
 import React from "react";
 import { ContractsList } from "./ContractsList";
-
-// Available starting city pairs
-const STARTING_CITY_PAIRS = [
-  ["Quebec City", "Montreal"],
-  ["Boston", "Portland ME"],
-  ["Philadelphia", "New York"],
-  ["Washington", "Philadelphia"],
-  ["Raleigh", "Norfolk"],
-  ["Charleston", "Savannah"]
-];
+import { ContractOffer } from "./ContractOffer";
+import { TieStandings } from "./TieStandings";
+import { NextRoundOrder } from "./NextRoundOrder";
+import { ScoreBreakdown } from "./ScoreBreakdown";
+import { LOAN_INCREMENT, REPAYMENT_AMOUNTS, borrowingError, repaymentError, formatMoney } from "../finance";
+import { turnActionError } from "../turnActions";
+import { engines } from "../data";
+import { FLEET_LIMIT, STARTING_ENGINE, fleetOf, bestEngineLevel, enginePrice, enginePurchaseError } from "../engines";
+import { privateContractOfferSize } from "../upgrades";
+import { STARTING_CITY_PAIRS, RANKED_CHOICES } from "../startingPositions";
+import { TrackCalculator } from "./TrackCalculator";
+import { firstPlayerClaimError } from "../playOrder";
 
 /**
- * Displays the active player's board with contracts, action buttons, and starting city selection.
+ * Displays the active player's board with contracts, action buttons, and the starting city pair ranking.
  * 
  * @component
  * @param {object} props
@@ -20,11 +22,14 @@ const STARTING_CITY_PAIRS = [
  * @param {object} props.ctx - The game context, including currentPlayer.
  * @param {string|null} props.playerID - Player ID for this board (BYOD mode).
  * @param {boolean} props.isBYODMode - Whether this is a BYOD game.
- * @param {boolean} props.startingContractExists - Whether the current player has a starting contract (controls visibility of +2P and +3P buttons).
+ * @param {boolean} props.startingContractExists - Whether the current player has a starting contract (controls visibility of the private contract button).
  * @param {'setup'|'play'|'scoring'} props.currentPhase - The current game phase (affects which UI elements are shown).
- * @param {function} props.onStartingPairSelect - Called when a starting city pair is selected during setup phase. Receives the pair array as argument.
+ * @param {function} props.onStartingRankingSubmit - Called when the player submits their ranked starting pairs during setup phase. Receives the ranking (indexes into STARTING_CITY_PAIRS) and the player ID.
  * @param {function} props.onToggleFulfilled - Called when a contract's fulfilled state should be toggled. Receives the contract ID.
  * @param {function} props.onDelete - Called when a contract should be deleted. Receives the contract ID.
+ * @param {function} props.onDiscard - Called to discard a private contract and draw new ones (a turn action). Receives the contract ID.
+ * @param {function} props.onChooseOffered - Called when the player keeps one of the private contracts offered to them. Receives the contract ID.
+ * @param {function} props.onBuildTrack - Called to build track (a turn action). Receives the route keys, in order.
  * 
  * @example
  * <PlayerBoard
@@ -32,37 +37,51 @@ const STARTING_CITY_PAIRS = [
  *   ctx={ctx}
  *   startingContractExists={true}
  *   currentPhase="play"
- *   onStartingPairSelect={(pair) => handlePairSelect(pair)}
+ *   onStartingRankingSubmit={(ranking, playerID) => handleRankingSubmit(ranking, playerID)}
  *   onToggleFulfilled={(id) => handleToggle(id)}
  *   onDelete={(id) => handleDelete(id)}
+ *   onDiscard={(id) => handleDiscard(id)}
+ *   onChooseOffered={(id) => handleChooseOffered(id)}
+ *   onBuildTrack={(routeKeys) => handleBuildTrack(routeKeys)}
  * />
  */
-export function PlayerBoard({ G, ctx, playerID, isBYODMode = false, startingContractExists, currentPhase, onStartingPairSelect, onToggleFulfilled, onDelete }) {
+export function PlayerBoard({ G, ctx, playerID, isBYODMode = false, startingContractExists, currentPhase, onStartingRankingSubmit, onToggleFulfilled, onDelete, onDiscard, onChooseOffered, onBuildTrack }) {
   const effectivePlayerID = isBYODMode && playerID != null ? playerID : ctx.currentPlayer;
   const activePlayer = G.players.find(([key]) => key === effectivePlayerID);
   const isPlayerTurn = !isBYODMode || playerID === ctx.currentPlayer;
   const currentPlayerEntry = G.players.find(([id]) => id === ctx.currentPlayer);
   const currentPlayerName = currentPlayerEntry?.[1]?.name || `Player ${ctx.currentPlayer}`;
   const showTurnIndicator = isBYODMode && !isPlayerTurn;
-  if (!activePlayer) return null;
 
-  const [key, { name }] = activePlayer;
+  // Starting pairs this player has ranked so far, favorite first; start over when the board changes hands
+  const [ranking, setRanking] = React.useState([]);
+  React.useEffect(() => setRanking([]), [effectivePlayerID]);
 
-  // Determine which pairs are disabled (already chosen by any player)
-  const getChosenCities = () => {
-    const chosenCities = new Set();
-    G.players.forEach(([id, player]) => {
-      player.activeCities.forEach(city => chosenCities.add(city));
-    });
-    return chosenCities;
-  };
+  // Amount to borrow; any number of loans can be taken out with one Borrow action
+  const [borrowAmount, setBorrowAmount] = React.useState(LOAN_INCREMENT);
 
-  const chosenCities = currentPhase === 'setup' ? getChosenCities() : new Set();
-  const isPairChosen = (pair) => chosenCities.has(pair[0]) || chosenCities.has(pair[1]);
+  if (!activePlayer) return null;
 
-  const handlePairClick = (pair) => {
-    if (isPairChosen(pair) || !isPlayerTurn) return;
-    onStartingPairSelect(pair);
+  const [key, playerProps] = activePlayer;
+  const { name } = playerProps;
+  const borrowError = turnActionError(G, "borrowMoney") ?? borrowingError(borrowAmount);
+
+  // The next engine up the ladder, and which engines (if any) could be given up for it
+  const fleet = fleetOf(playerProps);
+  const nextEngine = [...engines].find(([, engine]) => engine.level === bestEngineLevel(playerProps) + 1)?.[0];
+  const engineOptions = [
+    ...(fleet.length < FLEET_LIMIT && !fleet.includes(STARTING_ENGINE) ? [null] : []),
+    ...fleet,
+  ];
+  const submittedRanking = G.startingRankings?.[key];
+  const track = playerProps.track ?? [];
+  const firstPlayerError = turnActionError(G, "claimFirstPlayer") ?? firstPlayerClaimError(G, key);
+
+  const handlePairClick = (index) => {
+    setRanking(prev => prev.includes(index)
+      ? prev.filter(i => i !== index)
+      : prev.length < RANKED_CHOICES ? [...prev, index] : prev
+    );
   };
 
   return (
@@ -79,22 +98,24 @@ export function PlayerBoard({ G, ctx, playerID, isBYODMode = false, startingCont
           </div>
           <div className="playerBoard__buttonGroup">
             <button
-              name="privateContract2"
-              className={`button ${startingContractExists && isPlayerTurn ? '' : 'button--hidden'}`}
+              name="privateContracts"
+              className={`button ${startingContractExists && isPlayerTurn && !playerProps.pendingOffer ? '' : 'button--hidden'}`}
             >
-              +2 P
+              +{privateContractOfferSize(G, key)} P
             </button>
             <button
-              name="privateContract3"
-              className={`button ${startingContractExists && isPlayerTurn ? '' : 'button--hidden'}`}
+              name="marketContract"
+              className={`button ${currentPhase === 'play' && isPlayerTurn ? '' : 'button--hidden'}`}
             >
-              +3 P
+              +1 M
             </button>
             <button
-              name="marketContract"
+              name="claimFirstPlayer"
               className={`button ${currentPhase === 'play' && isPlayerTurn ? '' : 'button--hidden'}`}
+              disabled={firstPlayerError !== null}
+              title={firstPlayerError ?? undefined}
             >
-              +1 M
+              Go First Next Round
             </button>
             {/* End turn button - not shown during setup (auto-advances) */}
             <button 
@@ -104,29 +125,161 @@ export function PlayerBoard({ G, ctx, playerID, isBYODMode = false, startingCont
           </div>
         </div>
         
-        {/* Starting city pair buttons - shown during setup phase */}
+        {/* Cash and debt - shown during play phase */}
+        {currentPhase === 'play' && (
+          <div className="playerBoard__finances">
+            <div className="playerBoard__balance">
+              <span className="playerBoard__balanceLabel">Cash</span> {formatMoney(playerProps.cash ?? 0)}
+            </div>
+            <div className="playerBoard__balance">
+              <span className="playerBoard__balanceLabel">Debt</span> {formatMoney(playerProps.debt ?? 0)}
+            </div>
+            {(playerProps.startingAdjustment?.cash ?? 0) > 0 && (
+              <div className="playerBoard__balance playerBoard__balance--adjustment">
+                Started with {formatMoney(playerProps.startingAdjustment.cash)} extra: {playerProps.startingAdjustment.reason}
+              </div>
+            )}
+            {(playerProps.shortfall ?? 0) > 0 && (
+              <div className="playerBoard__balance playerBoard__balance--shortfall">
+                Bankrupt: {formatMoney(playerProps.shortfall)} short on debt service
+              </div>
+            )}
+            {isPlayerTurn && (
+              <div className="playerBoard__buttonGroup">
+                <input
+                  type="number"
+                  className="playerBoard__borrowAmount"
+                  aria-label="Amount to borrow"
+                  min={LOAN_INCREMENT}
+                  step={LOAN_INCREMENT}
+                  value={borrowAmount}
+                  onChange={(e) => setBorrowAmount(Number(e.target.value))}
+                />
+                <button
+                  name="borrowMoney"
+                  value={borrowAmount}
+                  className="button"
+                  disabled={borrowError !== null}
+                  title={borrowError ?? undefined}
+                >
+                  Borrow {formatMoney(borrowAmount)}
+                </button>
+                {REPAYMENT_AMOUNTS.map(amount => {
+                  const error = turnActionError(G, "repayDebt") ?? repaymentError(playerProps, amount);
+                  return (
+                    <button
+                      key={amount}
+                      name="repayDebt"
+                      value={amount}
+                      className="button"
+                      disabled={error !== null}
+                      title={error ?? undefined}
+                    >
+                      Repay {formatMoney(amount)}
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Engine fleet and the next engine up the ladder - shown during play phase */}
+        {currentPhase === 'play' && (
+          <div className="playerBoard__engines">
+            <div className="playerBoard__balance">
+              <span className="playerBoard__balanceLabel">Engines</span>{' '}
+              {fleet.map(engineName => `${engineName} (${engines.get(engineName).distance})`).join(', ')}
+            </div>
+            {isPlayerTurn && nextEngine && (
+              <div className="playerBoard__buttonGroup">
+                {engineOptions.map(replacedEngine => {
+                  const error = turnActionError(G, "buyEngine") ?? enginePurchaseError(playerProps, nextEngine, replacedEngine, true);
+                  return (
+                    <button
+                      key={replacedEngine ?? ''}
+                      name="buyEngine"
+                      value={nextEngine}
+                      data-replace={replacedEngine ?? undefined}
+                      className="button"
+                      disabled={error !== null}
+                      title={error ?? undefined}
+                    >
+                      Buy {nextEngine}{replacedEngine ? `, trade in ${replacedEngine}` : ''} ({formatMoney(enginePrice(nextEngine, replacedEngine, true))})
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Track segments the player has built, and a calculator for building more - shown during play phase */}
+        {currentPhase === 'play' && (
+          <div className="playerBoard__track">
+            <div className="playerBoard__balance">
+              <span className="playerBoard__balanceLabel">Track</span>{' '}
+              {track.length > 0
+                ? track.map(({ routeKey, parallel }) => parallel ? `${routeKey} (parallel)` : routeKey).join(', ')
+                : 'None built'}
+            </div>
+            <TrackCalculator G={G} playerID={key} isPlayerTurn={isPlayerTurn} onBuild={onBuildTrack} />
+          </div>
+        )}
+
+        {/* Score breakdown, railroad tie standings for every player and next round's order - shown during play phase */}
+        {currentPhase === 'play' && (
+          <div className="playerBoard__standings">
+            <ScoreBreakdown G={G} playerID={key} />
+            <TieStandings G={G} currentPlayer={ctx.currentPlayer} />
+            <NextRoundOrder G={G} playOrder={ctx.playOrder} />
+          </div>
+        )}
+
+        {/* Starting city pair ranking - shown during setup phase; everyone ranks at once, in secret */}
         {currentPhase === 'setup' && (
           <div className="playerBoard__startingPairs">
-            <div className="playerBoard__startingPairsLabel">Choose your starting cities:</div>
-            {STARTING_CITY_PAIRS.map((pair, index) => {
-              const disabled = isPairChosen(pair) || !isPlayerTurn;
-              return (
+            {submittedRanking ? (
+              <div className="playerBoard__startingPairsLabel">
+                Ranking submitted. Waiting for the other players to rank their starting cities.
+              </div>
+            ) : (
+              <>
+                <div className="playerBoard__startingPairsLabel">
+                  Rank your top {RANKED_CHOICES} starting cities, favorite first:
+                </div>
+                {STARTING_CITY_PAIRS.map((pair, index) => {
+                  const rank = ranking.indexOf(index) + 1;
+                  return (
+                    <button
+                      key={index}
+                      type="button"
+                      className={`button playerBoard__pairButton ${rank ? 'playerBoard__pairButton--ranked' : ''}`}
+                      disabled={!rank && ranking.length >= RANKED_CHOICES}
+                      onClick={() => handlePairClick(index)}
+                    >
+                      {rank ? `${rank}. ` : ''}{pair.cities.join(' & ')}
+                    </button>
+                  );
+                })}
                 <button
-                  key={index}
                   type="button"
                   className="button playerBoard__pairButton"
-                  disabled={disabled}
-                  onClick={() => handlePairClick(pair)}
+                  disabled={ranking.length !== RANKED_CHOICES}
+                  onClick={() => onStartingRankingSubmit(ranking, key)}
                 >
-                  {pair.join(' & ')}
+                  Submit ranking
                 </button>
-              );
-            })}
+              </>
+            )}
           </div>
         )}
         <div className={`playerBoard__contracts ${currentPhase === 'play' ? '' : 'hidden'}`}>
+          {playerProps.pendingOffer && (
+            <ContractOffer offer={playerProps.pendingOffer} isPlayerTurn={isPlayerTurn} onChoose={onChooseOffered} />
+          )}
           <h3 className="playerBoard__contractsTitle">Private</h3>
-          <ContractsList G={G} ctx={ctx} type="private" playerID={key} onToggleFulfilled={onToggleFulfilled} onDelete={onDelete} />
+          <ContractsList G={G} ctx={ctx} type="private" playerID={key} onToggleFulfilled={onToggleFulfilled} onDelete={onDelete} onDiscard={onDiscard} />
           <h3 className="playerBoard__contractsTitle">Market</h3>
           <ContractsList G={G} ctx={ctx} type="market" playerID={key} onToggleFulfilled={onToggleFulfilled} onDelete={onDelete} />
           <h3 className="playerBoard__contractsTitle">Fulfilled</h3>
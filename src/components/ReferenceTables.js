@@ -1,6 +1,8 @@
 import React from "react";
-import { cities, commodities } from "../data";
+import { cities, commodities, upgrades } from "../data";
 import { valueOfCity } from "../Contract";
+import { formatMoney } from "../finance";
+import { upgradeLockReason } from "../upgrades";
 import { commodityIcons } from "../shared/assets/icons";
 
 // Helper functions
@@ -52,3 +54,54 @@ export function ReferenceTables({ G }) {
     </>
   );
 }
+
+
+/**
+ * Displays a table of every upgrade with its cost, and for each player which options they own or why
+ * the upgrade is still locked for them.
+ * 
+ * @component
+ * @param {object} props
+ * @param {object} props.G - The game state object containing players and their upgrades.
+ * 
+ * @example
+ * <UpgradesTable G={G} />
+ */
+export function UpgradesTable({ G }) {
+  const ownership = (playerID, playerProps, name) => {
+    const owned = (playerProps.upgrades ?? []).filter(upgrade => upgrade.name === name);
+    if (owned.length > 0) {
+      return owned.map(upgrade => upgrade.option ?? "Owned").join(", ");
+    }
+    const lockReason = upgradeLockReason(G, playerID, name);
+    return lockReason ? <span className="upgradesTable__locked" title={lockReason}>Locked</span> : "";
+  };
+
+  return (
+    <div>
+      <div className="referenceTable__title">Upgrades</div>
+      <table className="table upgradesTable">
+        <thead>
+          <tr className="table__header">
+            <th className="table__headerCell">Upgrade</th>
+            <th className="table__headerCell">Cost</th>
+            {G.players.map(([id, props]) => (
+              <th key={id} className="table__headerCell">{props.name}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {[...upgrades].map(([name, upgrade]) => (
+            <tr key={name} className="upgradesTable__row">
+              <td className="table__cell" title={upgrade.description}>{name}</td>
+              <td className="table__cell">{formatMoney(upgrade.cost)}</td>
+              {G.players.map(([id, props]) => (
+                <td key={id} className="table__cell">{ownership(id, props, name)}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
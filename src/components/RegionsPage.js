@@ -0,0 +1,67 @@
+import React from "react";
+import { regions } from "../data";
+import { evaluateRegionalDominance } from "../regionalDominance";
+
+/**
+ * Page component showing, for every region, how many of its cities each player and independent railroad
+ * connects to, and who qualifies for regional dominance.
+ * 
+ * @component
+ * @param {object} props
+ * @param {object} props.G - The game state object.
+ * @param {string} props.playerID - The player ID for this device/board, highlighted in the standings.
+ * 
+ * @example
+ * <RegionsPage G={G} playerID={playerID} />
+ */
+export function RegionsPage({ G, playerID }) {
+  const evaluation = evaluateRegionalDominance(G);
+
+  return (
+    <div className="pageContent">
+      <div className="regions">
+        {[...evaluation].map(([regionCode, region]) => (
+          <div key={regionCode} className="regions__item">
+            <div className="regions__header">
+              <div className="regions__name">{regions.get(regionCode).name}</div>
+              <div className="regions__summary">
+                {region.threshold} of {region.cityCount} cities needed
+              </div>
+            </div>
+            <table className="table">
+              <thead>
+                <tr className="table__header">
+                  <th className="table__headerCell">Railroad</th>
+                  <th className="table__headerCell">Cities</th>
+                  <th className="table__headerCell">Regional Office</th>
+                  <th className="table__headerCell">Dominant</th>
+                </tr>
+              </thead>
+              <tbody>
+                {region.players.map(player => (
+                  <tr
+                    key={player.playerID}
+                    className={`regions__row ${player.playerID === playerID ? 'regions__row--self' : ''}`}
+                  >
+                    <td className="table__cell">{player.name}</td>
+                    <td className="table__cell">{player.cities}</td>
+                    <td className="table__cell">{player.hasRegionalOffice ? "Yes" : "No"}</td>
+                    <td className="table__cell">{player.qualifies ? "Yes" : ""}</td>
+                  </tr>
+                ))}
+                {region.independentRailroads.map(railroad => (
+                  <tr key={railroad.name} className="regions__row regions__row--independent">
+                    <td className="table__cell">{railroad.name}</td>
+                    <td className="table__cell">{railroad.cities}</td>
+                    <td className="table__cell"></td>
+                    <td className="table__cell"></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import React from "react";
+import { scoreBreakdown } from "../scoring";
+
+/**
+ * Shows how a player's railroad tie total is made up: ties from contracts, plus the commodity breadth and
+ * depth bonuses and monopolies.
+ * 
+ * @component
+ * @param {object} props
+ * @param {object} props.G - The game state object.
+ * @param {string} props.playerID - Player whose score to show.
+ * 
+ * @example
+ * <ScoreBreakdown G={G} playerID="0" />
+ */
+export function ScoreBreakdown({ G, playerID }) {
+  const score = scoreBreakdown(G, playerID);
+
+  return (
+    <dl className="scoreBreakdown">
+      <div className="scoreBreakdown__item">
+        <dt>Contracts</dt>
+        <dd>{score.contracts}</dd>
+      </div>
+      <div className="scoreBreakdown__item">
+        <dt>Breadth</dt>
+        <dd>{score.breadth}</dd>
+      </div>
+      <div className="scoreBreakdown__item">
+        <dt>Depth</dt>
+        <dd>{score.depth}</dd>
+      </div>
+      <div className="scoreBreakdown__item">
+        <dt>Monopolies</dt>
+        <dd>{score.monopolies}</dd>
+      </div>
+      <div className="scoreBreakdown__item scoreBreakdown__item--total">
+        <dt>Total ties</dt>
+        <dd>{score.total}</dd>
+      </div>
+    </dl>
+  );
+}
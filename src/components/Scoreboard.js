@@ -0,0 +1,56 @@
+import React from "react";
+import { finalScores } from "../scoring";
+
+/**
+ * Final ranked scoreboard shown when the game is over, with each player's railroad ties broken down by category.
+ * 
+ * @component
+ * @param {object} props
+ * @param {object} props.G - The game state object. Uses G.finalScores, which is recorded when the play phase ends.
+ * 
+ * @example
+ * <Scoreboard G={G} />
+ */
+export function Scoreboard({ G }) {
+  const scores = G.finalScores ?? finalScores(G);
+  const winners = scores.filter(score => score.rank === 1).map(score => score.name);
+
+  return (
+    <div className="scoreboard">
+      <h1 className="scoreboard__title">Game Over</h1>
+      <p className="scoreboard__winner">
+        {winners.join(" and ")} {winners.length > 1 ? "win" : "wins"}!
+      </p>
+      <table className="table">
+        <thead>
+          <tr className="table__header">
+            <th className="table__headerCell">Rank</th>
+            <th className="table__headerCell">Player</th>
+            <th className="table__headerCell">Contracts</th>
+            <th className="table__headerCell">Breadth</th>
+            <th className="table__headerCell">Depth</th>
+            <th className="table__headerCell">Monopolies</th>
+            <th className="table__headerCell">Regional Dominance</th>
+            <th className="table__headerCell">Challenger</th>
+            <th className="table__headerCell">Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          {scores.map(score => (
+            <tr key={score.playerID} className="scoreboard__row">
+              <td className="table__cell">{score.rank}</td>
+              <td className="table__cell">{score.name}</td>
+              <td className="table__cell">{score.contracts}</td>
+              <td className="table__cell">{score.breadth}</td>
+              <td className="table__cell">{score.depth}</td>
+              <td className="table__cell">{score.monopolies}</td>
+              <td className="table__cell">{score.regionalDominance}</td>
+              <td className="table__cell">{score.challenger}</td>
+              <td className="table__cell table__cell--bold">{score.total}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
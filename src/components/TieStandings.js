@@ -0,0 +1,34 @@
+import React from "react";
+import { scoreBreakdown } from "../scoring";
+
+/**
+ * Lists every player's railroad tie total, including commodity bonuses, highest first, highlighting the player whose turn it is.
+ * 
+ * @component
+ * @param {object} props
+ * @param {object} props.G - The game state object.
+ * @param {string} [props.currentPlayer] - ID of the player whose turn it is.
+ * @param {string} [props.className] - Optional extra CSS class name for placement.
+ * 
+ * @example
+ * <TieStandings G={G} currentPlayer={ctx.currentPlayer} />
+ */
+export function TieStandings({ G, currentPlayer, className }) {
+  const standings = G.players
+    .map(([id, props]) => ({ id, name: props.name, ties: scoreBreakdown(G, id).total }))
+    .sort((a, b) => b.ties - a.ties);
+
+  return (
+    <ol className={`tieStandings ${className || ''}`} aria-label="Railroad tie standings">
+      {standings.map(({ id, name, ties }) => (
+        <li
+          key={id}
+          className={`tieStandings__player ${id === currentPlayer ? 'tieStandings__player--current' : ''}`}
+        >
+          <span className="tieStandings__name">{name}</span>
+          <span className="tieStandings__ties">{ties}</span>
+        </li>
+      ))}
+    </ol>
+  );
+}
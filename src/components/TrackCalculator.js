@@ -0,0 +1,107 @@
+import React from "react";
+import { routes } from "../data";
+import { formatMoney } from "../finance";
+import { segmentsPerBuild, trackPlanError, trackBuildCost, buildTrackError } from "../trackCost";
+import { turnActionError } from "../turnActions";
+
+/**
+ * Lets a player pick the segments for a Build Track action and shows the itemized cost: the base price by
+ * length, the mountain and parallel surcharges and any hub discount.
+ *
+ * @component
+ * @param {object} props
+ * @param {object} props.G - The game state object.
+ * @param {string} props.playerID - Player who is building.
+ * @param {boolean} props.isPlayerTurn - Whether the player can build now; the Build button is hidden otherwise.
+ * @param {function} props.onBuild - Called to build the chosen segments. Receives the route keys, in order.
+ *
+ * @example
+ * <TrackCalculator G={G} playerID="0" isPlayerTurn={true} onBuild={(routeKeys) => moves.buildTrack(routeKeys)} />
+ */
+export function TrackCalculator({ G, playerID, isPlayerTurn, onBuild }) {
+  // Segments picked so far, in the order they'll be built; start over when the board changes hands
+  const [planned, setPlanned] = React.useState([]);
+  const [nextRoute, setNextRoute] = React.useState("");
+  React.useEffect(() => setPlanned([]), [playerID]);
+
+  const playerProps = G.players.find(([id]) => id === playerID)?.[1];
+  if (!playerProps) return null;
+
+  const limit = segmentsPerBuild(playerProps);
+  const choices = planned.length < limit
+    ? [...routes.keys()].filter(routeKey => trackPlanError(G, playerID, [...planned, routeKey]) === null)
+    : [];
+  const selectedRoute = choices.includes(nextRoute) ? nextRoute : choices[0];
+  const { segments, total } = trackBuildCost(G, playerID, planned);
+  const error = turnActionError(G, "buildTrack") ?? buildTrackError(G, playerID, planned);
+
+  const handleBuild = () => {
+    onBuild(planned);
+    setPlanned([]);
+  };
+
+  return (
+    <div className="trackCalculator">
+      <div className="trackCalculator__picker">
+        <select
+          className="trackCalculator__select"
+          value={selectedRoute ?? ""}
+          disabled={choices.length === 0}
+          onChange={(e) => setNextRoute(e.target.value)}
+        >
+          {choices.map(routeKey => (
+            <option key={routeKey} value={routeKey}>{routeKey}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className="button"
+          disabled={!selectedRoute}
+          onClick={() => setPlanned([...planned, selectedRoute])}
+        >
+          Add segment ({planned.length}/{limit})
+        </button>
+      </div>
+      {segments.length > 0 && (
+        <ul className="trackCalculator__segments">
+          {segments.map((segment, index) => (
+            <li key={segment.routeKey} className="trackCalculator__segment">
+              <span className="trackCalculator__route">{segment.routeKey}</span>
+              <span className="trackCalculator__items">
+                {formatMoney(segment.base)} for length {segment.length}
+                {segment.mountainSurcharge > 0 && `, +${formatMoney(segment.mountainSurcharge)} mountainous`}
+                {segment.parallelSurcharge > 0 && `, +${formatMoney(segment.parallelSurcharge)} parallel`}
+                {segment.hubDiscount > 0 && `, -${formatMoney(segment.hubDiscount)} near hub`}
+              </span>
+              <span className="trackCalculator__cost">{formatMoney(segment.cost)}</span>
+              <button
+                type="button"
+                className="button"
+                onClick={() => setPlanned(planned.slice(0, index))}
+                title="Remove this segment and any planned after it"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {segments.length > 0 && (
+        <div className="trackCalculator__total">
+          <span className="playerBoard__balanceLabel">Total</span> {formatMoney(total)}
+          {isPlayerTurn && (
+            <button
+              type="button"
+              className="button"
+              disabled={error !== null}
+              title={error ?? undefined}
+              onClick={handleBuild}
+            >
+              Build Track
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+import React from "react";
+import { useGame } from "../hooks/useGame";
+import { commodities, upgrades } from "../data";
+import { formatMoney } from "../finance";
+import { networkCities } from "../network";
+import { monopolyTerms } from "../monopolies";
+import { regionalOfficeRegions, upgradePurchaseError } from "../upgrades";
+import { turnActionError } from "../turnActions";
+import { UpgradesTable } from "./ReferenceTables";
+
+/**
+ * Page component showing which upgrades each player owns, with controls for the current player to buy one.
+ * Upgrades that need a city, region or commodity offer a choice of the options the player can pick.
+ * 
+ * @component
+ * 
+ * @example
+ * <UpgradesPage />
+ */
+export function UpgradesPage() {
+  const { G, ctx, moves, playerID } = useGame();
+  const [selectedOptions, setSelectedOptions] = React.useState({});
+  const isPlayerTurn = playerID === ctx.currentPlayer;
+  const playerProps = G.players.find(([id]) => id === ctx.currentPlayer)?.[1] ?? {};
+
+  const optionChoices = {
+    city: [...networkCities(playerProps)].sort(),
+    region: regionalOfficeRegions(G, ctx.currentPlayer),
+    commodity: [...commodities.keys()].filter(commodity => monopolyTerms(commodity)),
+  };
+
+  const handleBuy = (name) => {
+    moves.buyUpgrade(name, selectedOptions[name] || null);
+    setSelectedOptions(options => ({ ...options, [name]: "" }));
+  };
+
+  return (
+    <div className="pageContent">
+      <UpgradesTable G={G} />
+      {isPlayerTurn && ctx.phase === 'play' && (
+        <div className="upgradesPage__purchase">
+          <div className="referenceTable__title">Buy an upgrade</div>
+          {[...upgrades].map(([name, upgrade]) => {
+            const option = selectedOptions[name] || null;
+            const error = turnActionError(G, "buyUpgrade") ?? upgradePurchaseError(G, ctx.currentPlayer, name, option);
+            return (
+              <div key={name} className="upgradesPage__item">
+                <span className="upgradesPage__name">{name}</span>
+                {upgrade.option && (
+                  <select
+                    value={selectedOptions[name] || ""}
+                    onChange={(e) => setSelectedOptions(options => ({ ...options, [name]: e.target.value }))}
+                    className="upgradesPage__select"
+                  >
+                    <option value="">Choose a {upgrade.option}</option>
+                    {optionChoices[upgrade.option].map(choice => (
+                      <option key={choice} value={choice}>{choice}</option>
+                    ))}
+                  </select>
+                )}
+                <button
+                  type="button"
+                  className="button"
+                  disabled={error !== null}
+                  title={error ?? undefined}
+                  onClick={() => handleBuy(name)}
+                >
+                  Buy ({formatMoney(upgrade.cost)})
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
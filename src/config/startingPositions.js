@@ -0,0 +1,28 @@
+/**
+ * Starting Position Configuration
+ * 
+ * Tuning for the starting position desirability model in src/startingPositions.js. Each starting pair is
+ * scored from the map around it, and players who start from a weaker pair than the best one in the game
+ * get extra starting cash to make up for it.
+ */
+
+export const STARTING_POSITION_MODEL = {
+  // How far from the starting pair, in segments, each factor looks
+  commodityDistance: 2,
+  cityValueDistance: 1,
+  openSpaceDistance: 2,
+
+  // Desirability points for each commodity available nearby, each point of city value (see valueOfCity) and
+  // each city nearby that's room to grow into
+  weights: {
+    commodities: 1,
+    cityValue: 0.25,
+    openSpace: 0.5,
+  },
+
+  // Starting cash for each point a player's pair is behind the best pair in the game, rounded down to
+  // cashIncrement and capped at maxCash
+  cashPerPoint: 500,
+  cashIncrement: 1000,
+  maxCash: 5000,
+};
@@ -0,0 +1,133 @@
+import { cities, routes } from "./data";
+import { distancesFrom, shortestTrackLength } from "./utils/graph";
+import { randomArrayItem } from "./utils/random";
+
+/**
+ * Connection bonuses: railroad ties for the first player whose track connects two places, generated by the
+ * app at the start of the game
+ */
+
+/**
+ * @typedef {Object} ConnectionBonus
+ * @property {string} id
+ * @property {string} name - e.g. "East Coast to West Coast" or "Chicago to Dallas"
+ * @property {string[]} from - Keys of cities at one end; connecting any of them counts
+ * @property {string[]} to - Keys of cities at the other end
+ * @property {number} length - Least total length of track that makes the connection
+ * @property {number} ties - Railroad ties awarded for making the connection
+ * @property {string|null} claimedBy - ID of the player who claimed it, or null
+ */
+
+// Atlantic ports a coast-to-coast connection can start from
+export const EAST_COAST_CITIES = ["Portland ME", "Boston", "New York", "Norfolk", "Charleston", "Savannah"];
+
+// Bonuses between two specific cities, on top of the coast-to-coast bonus
+const CITY_PAIR_BONUSES = 3;
+
+// City pair bonuses span this much track, so they're worth chasing without being out of reach
+const MIN_CITY_PAIR_LENGTH = 8;
+const MAX_CITY_PAIR_LENGTH = 20;
+
+// Each bonus is worth a railroad tie per this much track needed, and at least one
+const TRACK_LENGTH_PER_TIE = 4;
+
+
+/**
+ * Railroad ties a connection needing this much track is worth
+ *
+ * @export
+ * @param {number} length - Total length of track
+ * @returns {number}
+ */
+export function connectionTies(length) {
+  return Math.max(1, Math.round(length / TRACK_LENGTH_PER_TIE));
+}
+
+
+/**
+ * Makes a connection bonus, valued by the shortest track between its two ends
+ *
+ * @param {string} id
+ * @param {string} name
+ * @param {string[]} from - Keys of cities at one end
+ * @param {string[]} to - Keys of cities at the other end
+ * @returns {ConnectionBonus}
+ */
+function newConnectionBonus(id, name, from, to) {
+  const length = shortestTrackLength(from, cityKey => to.includes(cityKey));
+  return { id, name, from, to, length, ties: connectionTies(length), claimedBy: null };
+}
+
+
+/**
+ * Creates the connection bonuses for a new game: East Coast to West Coast, and a few pairs of large cities
+ * a good distance apart that don't share a city with one another
+ *
+ * @export
+ * @returns {ConnectionBonus[]}
+ */
+export function generateConnectionBonuses() {
+  const westCoast = [...cities].filter(([, city]) => city.westCoast).map(([cityKey]) => cityKey);
+  const bonuses = [newConnectionBonus("east-west", "East Coast to West Coast", EAST_COAST_CITIES, westCoast)];
+
+  const largeCities = [...cities].filter(([, city]) => city.large).map(([cityKey]) => cityKey);
+  let candidates = largeCities.flatMap((a, i) => largeCities.slice(i + 1).map(b => [a, b]))
+    .filter(([a, b]) => {
+      const length = shortestTrackLength([a], cityKey => cityKey === b);
+      return length >= MIN_CITY_PAIR_LENGTH && length <= MAX_CITY_PAIR_LENGTH;
+    });
+
+  while (bonuses.length <= CITY_PAIR_BONUSES && candidates.length > 0) {
+    const [a, b] = randomArrayItem(candidates);
+    bonuses.push(newConnectionBonus(`${a}-${b}`, `${a} to ${b}`, [a], [b]));
+    candidates = candidates.filter(pair => !pair.includes(a) && !pair.includes(b));
+  }
+
+  return bonuses;
+}
+
+
+/**
+ * Whether a player's track connects the two ends of a bonus
+ *
+ * @export
+ * @param {Object} playerProps - Player data from G.players
+ * @param {ConnectionBonus} bonus
+ * @returns {boolean}
+ */
+export function isConnectionComplete(playerProps, bonus) {
+  const ownRoutes = new Set((playerProps.track ?? []).map(({ routeKey }) => routes.get(routeKey)));
+  const reachable = distancesFrom(bonus.from, route => ownRoutes.has(route));
+  return bonus.to.some(cityKey => reachable.has(cityKey));
+}
+
+
+/**
+ * Returns a reason the player cannot claim this bonus, or null if they can. Each bonus can only be claimed
+ * once, by the first player to complete it.
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {string} playerID
+ * @param {string} bonusID - id of a bonus in G.connectionBonuses
+ * @returns {string|null}
+ */
+export function connectionBonusClaimError(G, playerID, bonusID) {
+  const bonus = (G.connectionBonuses ?? []).find(b => b.id === bonusID);
+  const playerProps = G.players.find(([id]) => id === playerID)?.[1];
+
+  if (!bonus) {
+    return `"${bonusID}" is not a connection bonus`;
+  }
+  if (!playerProps) {
+    return `player "${playerID}" not found`;
+  }
+  if (bonus.claimedBy !== null) {
+    const claimant = G.players.find(([id]) => id === bonus.claimedBy)?.[1];
+    return `already claimed by ${claimant?.name ?? `player ${bonus.claimedBy}`}`;
+  }
+  if (!isConnectionComplete(playerProps, bonus)) {
+    return "your track doesn't make this connection yet";
+  }
+  return null;
+}
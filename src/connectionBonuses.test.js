@@ -0,0 +1,42 @@
+import { connectionTies, isConnectionComplete, connectionBonusClaimError, generateConnectionBonuses } from './connectionBonuses';
+import { shortestTrackLength } from './utils/graph';
+
+const bonus = { id: 'Atlanta-Memphis', name: 'Atlanta to Memphis', from: ['Atlanta'], to: ['Memphis'], length: 3, ties: 1, claimedBy: null };
+const track = routeKeys => routeKeys.map(routeKey => ({ routeKey, parallel: false }));
+
+describe('shortestTrackLength', () => {
+  test('adds up route lengths rather than counting segments', () => {
+    expect(shortestTrackLength(['Atlanta'], cityKey => cityKey === 'Memphis')).toBe(3);
+    expect(shortestTrackLength(['Atlanta'], cityKey => cityKey === 'Atlanta')).toBe(0);
+  });
+});
+
+describe('generateConnectionBonuses', () => {
+  test('values each bonus by the track it needs', () => {
+    const bonuses = generateConnectionBonuses();
+    expect(bonuses[0].name).toBe('East Coast to West Coast');
+    bonuses.forEach(b => {
+      expect(b.ties).toBe(connectionTies(b.length));
+      expect(b.claimedBy).toBeNull();
+    });
+  });
+});
+
+describe('isConnectionComplete', () => {
+  test('follows the player\'s own track only', () => {
+    expect(isConnectionComplete({ track: track(['Atlanta-Birmingham', 'Birmingham-Memphis']) }, bonus)).toBe(true);
+    expect(isConnectionComplete({ activeCities: ['Atlanta', 'Memphis'], track: track(['Atlanta-Birmingham']) }, bonus)).toBe(false);
+  });
+});
+
+describe('connectionBonusClaimError', () => {
+  test('lets only the first player to connect claim it', () => {
+    const players = [
+      ['0', { name: 'A', track: track(['Atlanta-Birmingham', 'Birmingham-Memphis']) }],
+      ['1', { name: 'B', track: track(['Atlanta-Birmingham', 'Birmingham-Memphis']) }],
+    ];
+    expect(connectionBonusClaimError({ players, connectionBonuses: [bonus] }, '0', bonus.id)).toBeNull();
+    expect(connectionBonusClaimError({ players, connectionBonuses: [{ ...bonus, claimedBy: '0' }] }, '1', bonus.id))
+      .toMatch('already claimed by A');
+  });
+});
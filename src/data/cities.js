@@ -6,7 +6,7 @@
  *  id              string
  *  state           string
  *  country         string
- *  region          ["Eastern", "Central", "Western"]
+ *  region          string - key for regions Map (e.g. "NE"); each region is in the Eastern, Central or Western section
  *  label           string (can be null) - prettier version of key, or null if the key is already pretty to humans
  *  latitude        number
  *  longitude       number
@@ -0,0 +1,27 @@
+/*
+ * engines
+ * 
+ * key:           string - name of engine
+ * value: {
+ *  wheels            string - wheel arrangement (e.g. "2-4-0")
+ *  level             number - position in the purchase ladder, from 0 (John Bull) to 9 (Challenger)
+ *  distance          number - segments the engine can travel with the Run Trains action
+ *  cost              number - purchase price in dollars
+ *  marketContracts   boolean - owner can claim market contracts
+ *  unlocksServiceYard  boolean - buying it makes the Service Yard upgrade available to all players
+ *  bonusPerSegment   number - extra dollars per segment of distance when the owner fulfills a contract
+ *  endOfGameTies     number - railroad ties awarded to the owner at the end of the game
+ * }
+ */
+export const engines = new Map([
+  [ "John Bull", { "wheels": "2-4-0", "level": 0, "distance": 1, "cost": 0, "marketContracts": false, "unlocksServiceYard": false, "bonusPerSegment": 0, "endOfGameTies": 0 } ],
+  [ "American", { "wheels": "4-4-0", "level": 1, "distance": 2, "cost": 5000, "marketContracts": false, "unlocksServiceYard": false, "bonusPerSegment": 0, "endOfGameTies": 0 } ],
+  [ "Mogul", { "wheels": "2-6-0", "level": 2, "distance": 3, "cost": 7000, "marketContracts": true, "unlocksServiceYard": false, "bonusPerSegment": 0, "endOfGameTies": 0 } ],
+  [ "Consolidation", { "wheels": "2-8-0", "level": 3, "distance": 3, "cost": 10000, "marketContracts": true, "unlocksServiceYard": true, "bonusPerSegment": 0, "endOfGameTies": 0 } ],
+  [ "Camelback", { "wheels": "4-6-0", "level": 4, "distance": 4, "cost": 13000, "marketContracts": true, "unlocksServiceYard": false, "bonusPerSegment": 0, "endOfGameTies": 0 } ],
+  [ "Prairie", { "wheels": "2-6-2", "level": 5, "distance": 5, "cost": 16000, "marketContracts": true, "unlocksServiceYard": false, "bonusPerSegment": 0, "endOfGameTies": 0 } ],
+  [ "Pacific", { "wheels": "4-6-2", "level": 6, "distance": 7, "cost": 20000, "marketContracts": true, "unlocksServiceYard": false, "bonusPerSegment": 0, "endOfGameTies": 0 } ],
+  [ "Mikado", { "wheels": "2-8-2", "level": 7, "distance": 8, "cost": 24000, "marketContracts": true, "unlocksServiceYard": false, "bonusPerSegment": 0, "endOfGameTies": 0 } ],
+  [ "Mountain", { "wheels": "4-8-2", "level": 8, "distance": 9, "cost": 28000, "marketContracts": true, "unlocksServiceYard": false, "bonusPerSegment": 1000, "endOfGameTies": 0 } ],
+  [ "Challenger", { "wheels": "4-6-6-4", "level": 9, "distance": 11, "cost": 32000, "marketContracts": true, "unlocksServiceYard": false, "bonusPerSegment": 1000, "endOfGameTies": 2 } ]
+]);
@@ -1,3 +1,6 @@
 export { cities } from './cities.js';
 export { commodities } from './commodities.js';
 export { routes } from './routes.js';
+export { regions } from './regions.js';
+export { engines } from './engines.js';
+export { upgrades } from './upgrades.js';
@@ -0,0 +1,17 @@
+/*
+ * regions
+ * 
+ * key:           string - region code used by cities (e.g. "NE")
+ * value: {
+ *  name            string - human-readable name of the region
+ *  section         "Eastern" | "Central" | "Western" - section of the map the region is in
+ * }
+ */
+export const regions = new Map([
+  [ "NW", { "name": "Northwest", "section": "Western" } ],
+  [ "NC", { "name": "North Central", "section": "Central" } ],
+  [ "NE", { "name": "Northeast", "section": "Eastern" } ],
+  [ "SW", { "name": "Southwest", "section": "Western" } ],
+  [ "SC", { "name": "South Central", "section": "Central" } ],
+  [ "SE", { "name": "Southeast", "section": "Eastern" } ]
+]);
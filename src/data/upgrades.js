@@ -0,0 +1,24 @@
+/*
+ * upgrades
+ * 
+ * key:           string - name of upgrade
+ * value: {
+ *  cost            number - purchase price in dollars
+ *  timing          string - when in the game the upgrade is most useful ("early", "early-mid" or "mid"), or null
+ *  option          null | "city" | "region" | "commodity" - what the player chooses when buying it; players can
+ *                  buy an upgrade with an option once for each choice
+ *  description     string
+ * }
+ */
+export const upgrades = new Map([
+  [ "Service Yard", { "cost": 10000, "timing": "early", "option": null, "description": "Consolidation and better engines move one space farther with Run Trains. Available once anyone buys a Consolidation." } ],
+  [ "Upgraded Stations", { "cost": 10000, "timing": "early", "option": null, "description": "Receive an additional $3,000 for each delivery." } ],
+  [ "Hub", { "cost": 15000, "timing": "early-mid", "option": "city", "description": "Place your Hub on a city in your network. A city can only be a hub for one player." } ],
+  [ "Timetable", { "cost": 15000, "timing": "early-mid", "option": null, "description": "Trains can keep moving after fulfilling a contract." } ],
+  [ "Roundhouse", { "cost": 10000, "timing": "mid", "option": null, "description": "Combine the movement of two engines in one Run Trains action." } ],
+  [ "Employment Office", { "cost": 10000, "timing": "mid", "option": null, "description": "Build three segments of track with the Build Track action." } ],
+  [ "Track Maintenance", { "cost": 10000, "timing": "mid", "option": null, "description": "Snow Blower: players without one move one segment fewer with each Run Trains action." } ],
+  [ "Railyard", { "cost": 10000, "timing": "mid", "option": "city", "description": "A city in your network supplies all commodities within two segments. A city can only have one railyard." } ],
+  [ "Regional Office", { "cost": 20000, "timing": null, "option": "region", "description": "Needs half (rounded down) of a region's cities and no other player connected there. Gives regional dominance." } ],
+  [ "Commodities Exchange Office", { "cost": 20000, "timing": null, "option": "commodity", "description": "For a commodity supplied by 4, 5 or 6 cities. Connect to all of them for a monopoly." } ]
+]);
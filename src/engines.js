@@ -0,0 +1,147 @@
+import { engines } from "./data";
+
+/**
+ * Engine rules: each player's fleet, the purchase ladder, the fleet limit and trade-in credit
+ */
+
+// Every railroad starts the game with a John Bull
+export const STARTING_ENGINE = "John Bull";
+
+// Each player can own up to this many engines
+export const FLEET_LIMIT = 2;
+
+
+/**
+ * Returns the names of the engines a player owns
+ *
+ * @export
+ * @param {Object} playerProps - Player data from G.players
+ * @returns {string[]}
+ */
+export function fleetOf(playerProps) {
+  return playerProps.engines ?? [STARTING_ENGINE];
+}
+
+
+/**
+ * Level of the best engine a player owns
+ *
+ * @export
+ * @param {Object} playerProps - Player data from G.players
+ * @returns {number}
+ */
+export function bestEngineLevel(playerProps) {
+  return Math.max(-1, ...fleetOf(playerProps).map(name => engines.get(name)?.level ?? -1));
+}
+
+
+/**
+ * Trade-in value of an engine: half its price, rounded down to the nearest $1,000
+ *
+ * @export
+ * @param {string} engineName
+ * @returns {number}
+ */
+export function tradeInValue(engineName) {
+  const engine = engines.get(engineName);
+  return engine ? Math.floor(engine.cost / 2 / 1000) * 1000 : 0;
+}
+
+
+/**
+ * Price a player pays for an engine after any trade-in credit
+ *
+ * @export
+ * @param {string} engineName - Engine to buy
+ * @param {string|null} replacedEngine - Engine to give up for it, if any
+ * @param {boolean} tradeIn - Whether the replaced engine is traded in for credit (otherwise it is discarded)
+ * @returns {number}
+ */
+export function enginePrice(engineName, replacedEngine, tradeIn) {
+  const credit = replacedEngine && tradeIn ? tradeInValue(replacedEngine) : 0;
+  return Math.max(0, engines.get(engineName).cost - credit);
+}
+
+
+/**
+ * Returns a reason the player cannot buy this engine, or null if they can
+ *
+ * @export
+ * @param {Object} playerProps - Player data from G.players
+ * @param {string} engineName - Engine to buy
+ * @param {string|null} replacedEngine - Engine to give up for it, if any
+ * @param {boolean} tradeIn - Whether the replaced engine is traded in for credit
+ * @returns {string|null}
+ */
+export function enginePurchaseError(playerProps, engineName, replacedEngine, tradeIn) {
+  const engine = engines.get(engineName);
+  const fleet = fleetOf(playerProps);
+
+  if (!engine || engineName === STARTING_ENGINE) {
+    return `"${engineName}" is not an engine that can be bought`;
+  }
+  if (engine.level > bestEngineLevel(playerProps) + 1) {
+    return `can only buy an engine one level higher than your best engine`;
+  }
+  if (replacedEngine && !fleet.includes(replacedEngine)) {
+    return `you don't own a ${replacedEngine} to replace`;
+  }
+  if (!replacedEngine && fleet.length >= FLEET_LIMIT) {
+    return `you already own ${FLEET_LIMIT} engines; choose one to replace`;
+  }
+  if (!replacedEngine && fleet.includes(STARTING_ENGINE)) {
+    return `the ${STARTING_ENGINE} must be traded in for a new engine`;
+  }
+  if ((playerProps.cash ?? 0) < enginePrice(engineName, replacedEngine, tradeIn)) {
+    return `not enough cash to buy the ${engineName}`;
+  }
+  return null;
+}
+
+
+/**
+ * Extra dollars per segment of a contract's distance the player earns from their engines
+ *
+ * @export
+ * @param {Object} playerProps - Player data from G.players
+ * @returns {number}
+ */
+export function engineBonusPerSegment(playerProps) {
+  return Math.max(0, ...fleetOf(playerProps).map(name => engines.get(name)?.bonusPerSegment ?? 0));
+}
+
+
+/**
+ * Whether any of the player's engines lets them claim market contracts
+ *
+ * @export
+ * @param {Object} playerProps - Player data from G.players
+ * @returns {boolean}
+ */
+export function canClaimMarketContracts(playerProps) {
+  return fleetOf(playerProps).some(name => engines.get(name)?.marketContracts);
+}
+
+
+/**
+ * Returns why a player cannot claim market contracts, or null if they can
+ *
+ * @export
+ * @param {Object} playerProps - Player data from G.players
+ * @returns {string|null}
+ */
+export function marketClaimError(playerProps) {
+  return canClaimMarketContracts(playerProps) ? null : "requires Mogul";
+}
+
+
+/**
+ * Railroad ties the player's engines award at the end of the game
+ *
+ * @export
+ * @param {Object} playerProps - Player data from G.players
+ * @returns {number}
+ */
+export function engineEndOfGameTies(playerProps) {
+  return fleetOf(playerProps).reduce((ties, name) => ties + (engines.get(name)?.endOfGameTies ?? 0), 0);
+}
@@ -0,0 +1,37 @@
+import { enginePrice, enginePurchaseError, tradeInValue } from './engines';
+
+describe('tradeInValue', () => {
+  test('is half the price rounded down to $1,000', () => {
+    expect(tradeInValue('John Bull')).toBe(0);
+    expect(tradeInValue('American')).toBe(2000);
+    expect(tradeInValue('Mogul')).toBe(3000);
+    expect(tradeInValue('Challenger')).toBe(16000);
+  });
+});
+
+describe('enginePurchaseError', () => {
+  const player = { cash: 20000, engines: ['American'] };
+
+  test('allows buying one level above the best engine', () => {
+    expect(enginePurchaseError(player, 'Mogul', null, true)).toBeNull();
+    expect(enginePurchaseError(player, 'Consolidation', null, true)).not.toBeNull();
+  });
+
+  test('requires the John Bull to be traded in', () => {
+    const start = { cash: 10000, engines: ['John Bull'] };
+    expect(enginePurchaseError(start, 'American', null, true)).not.toBeNull();
+    expect(enginePurchaseError(start, 'American', 'John Bull', true)).toBeNull();
+  });
+
+  test('requires replacing an engine once the fleet is full', () => {
+    const full = { cash: 20000, engines: ['American', 'Mogul'] };
+    expect(enginePurchaseError(full, 'Consolidation', null, true)).not.toBeNull();
+    expect(enginePurchaseError(full, 'Consolidation', 'American', true)).toBeNull();
+    expect(enginePrice('Consolidation', 'American', true)).toBe(8000);
+    expect(enginePrice('Consolidation', 'American', false)).toBe(10000);
+  });
+
+  test('requires enough cash', () => {
+    expect(enginePurchaseError({ cash: 6000, engines: ['American'] }, 'Mogul', null, true)).not.toBeNull();
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Money rules: starting capital, borrowing and repaying debt, and debt service
+ */
+
+import { cities, regions } from "./data";
+import { rewardValue } from "./Contract";
+import { engineBonusPerSegment } from "./engines";
+import { hasUpgrade, UPGRADED_STATIONS_BONUS } from "./upgrades";
+
+// Every railroad starts the game with $10,000 and no debt
+export const STARTING_CASH = 10000;
+
+// Money can only be borrowed in $5,000 increments
+export const LOAN_INCREMENT = 5000;
+
+// A single Repay Debt action pays back one of these amounts
+export const REPAYMENT_AMOUNTS = [5000, 10000];
+
+// Debt cannot be paid down any lower than this
+export const MIN_DEBT_AFTER_REPAYMENT = 15000;
+
+// Contracts pay $3,000 per segment of distance (see rewardValue in Contract.js)
+const CONTRACT_VALUE_PER_SEGMENT = 3000;
+
+// Debt service is $1,000 for every $5,000 borrowed
+export const DEBT_SERVICE_PER_LOAN = 1000;
+
+
+/**
+ * Returns a reason the player cannot borrow this amount, or null if they can
+ *
+ * @export
+ * @param {number} amount - Dollars to borrow
+ * @returns {string|null}
+ */
+export function borrowingError(amount) {
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return `amount must be a positive whole number of dollars (got ${amount})`;
+  }
+  if (amount % LOAN_INCREMENT !== 0) {
+    return `money can only be borrowed in $${LOAN_INCREMENT.toLocaleString()} increments`;
+  }
+  return null;
+}
+
+
+/**
+ * Returns a reason the player cannot repay this amount, or null if they can
+ *
+ * @export
+ * @param {{cash?: number, debt?: number}} playerProps - Player data from G.players
+ * @param {number} amount - Dollars to repay
+ * @returns {string|null}
+ */
+export function repaymentError(playerProps, amount) {
+  const cash = playerProps.cash ?? 0;
+  const debt = playerProps.debt ?? 0;
+
+  if (!REPAYMENT_AMOUNTS.includes(amount)) {
+    return `repayments must be one of ${REPAYMENT_AMOUNTS.map(a => `$${a.toLocaleString()}`).join(" or ")}`;
+  }
+  if (debt - amount < MIN_DEBT_AFTER_REPAYMENT) {
+    return `debt cannot be paid down below $${MIN_DEBT_AFTER_REPAYMENT.toLocaleString()}`;
+  }
+  if (cash < amount) {
+    return `not enough cash to repay $${amount.toLocaleString()}`;
+  }
+  return null;
+}
+
+
+/**
+ * Returns the map section ("Eastern", "Central" or "Western") a city is in
+ *
+ * @export
+ * @param {string} cityKey
+ * @returns {string|undefined}
+ */
+export function sectionOfCity(cityKey) {
+  const city = cities.get(cityKey);
+  return city ? regions.get(city.region)?.section : undefined;
+}
+
+
+/**
+ * Returns the debt service owed on a player's current debt, whether or not it is due
+ *
+ * @export
+ * @param {number} debt - Dollars borrowed
+ * @returns {number}
+ */
+export function debtService(debt) {
+  return Math.floor((debt ?? 0) / LOAN_INCREMENT) * DEBT_SERVICE_PER_LOAN;
+}
+
+
+/**
+ * Works out what a player collects for fulfilling a contract. No debt service is due while the player
+ * has only delivered in the Eastern section; their first Central delivery pays it once; their first
+ * Western delivery and every delivery after it pays it.
+ *
+ * @export
+ * @param {{cash?: number, debt?: number, reachedCentral?: boolean, reachedWestern?: boolean, engines?: string[]}} playerProps
+ * @param {import("./Contract").Contract} contract
+ * @returns {{reward: number, engineBonus: number, stationBonus: number, debtService: number, cashChange: number, shortfall: number, milestone: string|null}}
+ *   engineBonus is the Mountain/Challenger extra $1,000 per segment, stationBonus is the Upgraded Stations
+ *   extra $3,000, cashChange is what to add to the player's cash (never taking it below zero), shortfall is what they
+ *   could not pay, and milestone is the section this delivery reached for the first time ("Central" or
+ *   "Western"), if any
+ */
+export function contractSettlement(playerProps, contract) {
+  const reward = rewardValue(contract);
+  const segments = reward / CONTRACT_VALUE_PER_SEGMENT;
+  const engineBonus = segments * engineBonusPerSegment(playerProps);
+  const stationBonus = hasUpgrade(playerProps, "Upgraded Stations") ? UPGRADED_STATIONS_BONUS : 0;
+  const section = sectionOfCity(contract.destinationKey);
+  const cash = playerProps.cash ?? 0;
+
+  let milestone = null;
+  if (section === "Western" && !playerProps.reachedWestern) {
+    milestone = "Western";
+  } else if (section === "Central" && !playerProps.reachedCentral) {
+    milestone = "Central";
+  }
+
+  const serviceDue = playerProps.reachedWestern || milestone !== null;
+  const service = serviceDue ? debtService(playerProps.debt) : 0;
+  const net = reward + engineBonus + stationBonus - service;
+  const shortfall = Math.max(0, -(cash + net));
+
+  return {
+    reward,
+    engineBonus,
+    stationBonus,
+    debtService: service,
+    cashChange: net + shortfall,
+    shortfall,
+    milestone,
+  };
+}
+
+
+/**
+ * Formats a dollar amount the way the app shows money, e.g. 15000 → "$15K"
+ *
+ * @export
+ * @param {number} amount
+ * @returns {string}
+ */
+export function formatMoney(amount) {
+  const sign = amount < 0 ? "-" : "";
+  return `${sign}$${Math.abs(amount) / 1000}K`;
+}
@@ -0,0 +1,97 @@
+import { borrowingError, repaymentError, contractSettlement, debtService, sectionOfCity } from './finance';
+import { newContract, rewardValue } from './Contract';
+
+describe('borrowingError', () => {
+  test('allows borrowing in $5,000 increments', () => {
+    expect(borrowingError(5000)).toBeNull();
+    expect(borrowingError(20000)).toBeNull();
+    expect(borrowingError(7500)).toMatch('$5,000 increments');
+  });
+
+  test('rejects amounts that are not positive whole dollars', () => {
+    expect(borrowingError(0)).toMatch('positive whole number');
+    expect(borrowingError(-5000)).toMatch('positive whole number');
+    expect(borrowingError(5000.5)).toMatch('positive whole number');
+  });
+});
+
+describe('repaymentError', () => {
+  const player = { cash: 20000, debt: 30000 };
+
+  test('allows repaying $5,000 or $10,000', () => {
+    expect(repaymentError(player, 5000)).toBeNull();
+    expect(repaymentError(player, 10000)).toBeNull();
+    expect(repaymentError(player, 15000)).toBe('repayments must be one of $5,000 or $10,000');
+  });
+
+  test('does not pay debt down below $15,000', () => {
+    expect(repaymentError({ ...player, debt: 20000 }, 5000)).toBeNull();
+    expect(repaymentError({ ...player, debt: 20000 }, 10000)).toBe('debt cannot be paid down below $15,000');
+    expect(repaymentError({ ...player, debt: 15000 }, 5000)).toMatch('below $15,000');
+  });
+
+  test('requires the cash to cover the repayment', () => {
+    expect(repaymentError({ ...player, cash: 5000 }, 10000)).toBe('not enough cash to repay $10,000');
+  });
+});
+
+describe('sectionOfCity', () => {
+  test('maps city regions to map sections', () => {
+    expect(sectionOfCity('New York')).toBe('Eastern');
+    expect(sectionOfCity('Chicago')).toBe('Central');
+    expect(sectionOfCity('Seattle')).toBe('Western');
+  });
+});
+
+describe('debtService', () => {
+  test('is $1,000 per $5,000 borrowed', () => {
+    expect(debtService(0)).toBe(0);
+    expect(debtService(5000)).toBe(1000);
+    expect(debtService(20000)).toBe(4000);
+  });
+});
+
+describe('contractSettlement', () => {
+  const player = { cash: 10000, debt: 10000, reachedCentral: false, reachedWestern: false };
+
+  test('charges no debt service for Eastern deliveries before reaching the West', () => {
+    const contract = newContract('New York', 'coal', { type: 'market' });
+    const settlement = contractSettlement(player, contract);
+    expect(settlement.debtService).toBe(0);
+    expect(settlement.cashChange).toBe(rewardValue(contract));
+    expect(settlement.milestone).toBeNull();
+  });
+
+  test('charges debt service once on the first Central delivery', () => {
+    const contract = newContract('Chicago', 'fish', { type: 'market' });
+    const first = contractSettlement(player, contract);
+    expect(first.milestone).toBe('Central');
+    expect(first.debtService).toBe(2000);
+
+    const later = contractSettlement({ ...player, reachedCentral: true }, contract);
+    expect(later.milestone).toBeNull();
+    expect(later.debtService).toBe(0);
+  });
+
+  test('charges debt service on every delivery once the West is reached', () => {
+    const contract = newContract('New York', 'coal', { type: 'market' });
+    const settlement = contractSettlement({ ...player, reachedCentral: true, reachedWestern: true }, contract);
+    expect(settlement.debtService).toBe(2000);
+    expect(settlement.cashChange).toBe(rewardValue(contract) - 2000);
+  });
+
+  test('flags a shortfall when the player cannot cover debt service', () => {
+    const contract = newContract('New York', 'coal', { type: 'market' });
+    const broke = { cash: 0, debt: 100000, reachedCentral: true, reachedWestern: true };
+    const settlement = contractSettlement(broke, contract);
+    expect(settlement.shortfall).toBe(20000 - rewardValue(contract));
+    expect(broke.cash + settlement.cashChange).toBe(0);
+  });
+
+  test('adds $1,000 per segment for a Mountain or Challenger', () => {
+    const contract = newContract('New York', 'coal', { type: 'market' });
+    const settlement = contractSettlement({ ...player, engines: ['Mountain'] }, contract);
+    expect(settlement.engineBonus).toBe(rewardValue(contract) / 3);
+    expect(settlement.cashChange).toBe(rewardValue(contract) + settlement.engineBonus);
+  });
+});
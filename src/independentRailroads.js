@@ -1,6 +1,13 @@
 import { cities, routes } from "./data";
-import { citiesConnectedTo } from "./utils/graph";
+import { citiesConnectedTo, distancesFrom } from "./utils/graph";
 import { weightedRandom, randomArrayItem } from "./utils/random";
+import { STARTING_CITY_PAIRS } from "./startingPositions";
+import { sectionOfCity } from "./finance";
+import { networkCities } from "./network";
+
+// Merging with an independent railroad costs this much per segment, until the western section is broken
+export const INDEPENDENT_PRICE_PER_SEGMENT = 3000;
+export const INDEPENDENT_PRICE_PER_SEGMENT_WESTERN_BROKEN = 4000;
 
 /**
  * Given a set of cities, return a set of all the routes that do not include those cities
@@ -19,89 +26,102 @@ function routesWithoutTheseCities(cities) {
 }
 
 
-export function initializeIndependentRailroads() {
+/**
+ * Picks the route in the most open space: the one whose closer city is farthest from any occupied city,
+ * choosing at random between equally open routes
+ *
+ * @param {string[]} candidateRoutes - Keys of routes to choose from
+ * @param {Set<string>} occupiedCities - Keys of cities already taken by railroads (or reserved for them)
+ * @returns {string|undefined} - Key of the chosen route, or undefined if there are no candidates
+ */
+function mostOpenRoute(candidateRoutes, occupiedCities) {
+  if (candidateRoutes.length === 0) {
+    return undefined;
+  }
+  const distances = distancesFrom(occupiedCities);
+  const openness = candidateRoutes.map(routeKey =>
+    [routeKey, Math.min(...routes.get(routeKey).cities.map(cityKey => distances.get(cityKey) ?? Infinity))]
+  );
+  const mostOpen = Math.max(...openness.map(([, distance]) => distance));
+  return randomArrayItem(openness.filter(([, distance]) => distance === mostOpen))[0];
+}
+
+
+/**
+ * Starts a new independent railroad company on a route, with a name no other company has
+ *
+ * @param {Object} independentRailroads - Independent railroads keyed by name; the new company is added to it
+ * @param {string} routeKey - The company's first route
+ * @returns {string} - Name of the new company
+ */
+function startCompany(independentRailroads, routeKey) {
+  let companyName;
+  do {
+    companyName = generateRailroadName(cities.get(routes.get(routeKey).cities[0]).state);
+  } while (independentRailroads[companyName]);
+
+  independentRailroads[companyName] = {
+    name: companyName,
+    routes: [routeKey]
+  };
+  return companyName;
+}
+
+
+// At the start of the game there are this many railroads in all, players' and independents
+export const MIN_TOTAL_RAILROADS = 9;
+export const MAX_TOTAL_RAILROADS = 12;
+
+
+/**
+ * Places the independent railroads at the start of the game. Enough are placed to bring the total number of
+ * railroads to between 9 and 12, each 1 segment long, at least 2 segments from any possible starting city and
+ * not sharing a city with another. Each one goes where there's the most open space: on the route farthest
+ * from the starting cities and the railroads already placed, so the gaps between railroads stay roughly even.
+ *
+ * @export
+ * @param {number} numPlayers - Number of players in the game
+ * @returns {Object} - independent railroads keyed by name, as stored in G.independentRailroads
+ */
+export function initializeIndependentRailroads(numPlayers) {
+  if (!Number.isInteger(numPlayers) || numPlayers < 1) {
+    throw new Error(`initializeIndependentRailroads needs the number of players (got ${numPlayers})`);
+  }
 
   // Get the set of cities that are valid endpoints for independent railroads: everything not within 2 hops of possible starting cities
   const withinTwoOfStartingCities = citiesConnectedTo(
-    [
-      "Quebec City", "Montreal", 
-      "Boston", "Portland ME", 
-      "Philadelphia", "New York", 
-      "Washington", // Philadelphia
-      "Norfolk", "Raleigh", 
-      "Charleston", "Savannah"
-    ], 
+    STARTING_CITY_PAIRS.flatMap(pair => pair.cities), 
     {
       distance: 2,
       includeFromCities: true
     }
   );
-  const routesAvailableToIndies = routesWithoutTheseCities(withinTwoOfStartingCities);
+  const availableRoutes = [...routesWithoutTheseCities(withinTwoOfStartingCities)];
+
+  // Pick a total number of railroads and leave room for the players
+  const totalRailroads = MIN_TOTAL_RAILROADS + Math.floor(Math.random() * (MAX_TOTAL_RAILROADS - MIN_TOTAL_RAILROADS + 1));
+  const numberOfRoutesToAssign = Math.max(0, totalRailroads - numPlayers);
 
-  // Calculate how many routes we want to assign (10% of total)
-  const numberOfRoutesToAssign = Math.ceil(routesAvailableToIndies.size * 0.1);
-  
-  // Convert routes Map to array of entries for easier random selection
-  const routeEntries = Array.from(routesAvailableToIndies.entries());
-  
-  // Shuffle the routes array
-  function shuffle(array) {
-    for (let i = array.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [array[i], array[j]] = [array[j], array[i]];
-    }
-    return array;
-  }
-  
-  const shuffledRoutes = shuffle([...routeEntries]);
-  
   // Store independent railroads as a plain object
   const independentRailroads = {};
-  const routeOwnership = new Map();
-  const cityOwnership = new Map();
-  
-  // Try to assign routes one by one
-  let assignedCount = 0;
-  
-  while (assignedCount < numberOfRoutesToAssign && shuffledRoutes.length > 0) {
-    const [routeKey] = shuffledRoutes.pop();
-    
-    // Create a new company name that doesn't already exist
-    let companyCreated = false, companyName;
-    while (!companyCreated) {
-      companyName = generateRailroadName(cities.get(routes.get(routeKey).cities[0]).state);
-      companyCreated = !independentRailroads[companyName];
+  const ownedCities = new Set();
+  const occupiedCities = new Set(STARTING_CITY_PAIRS.flatMap(pair => pair.cities));
+
+  for (let assignedCount = 0; assignedCount < numberOfRoutesToAssign; assignedCount++) {
+    // Place the railroad in the most open space, on a route that doesn't share a city with another railroad
+    const routeKey = mostOpenRoute(
+      availableRoutes.filter(routeKey => !routes.get(routeKey).cities.some(cityKey => ownedCities.has(cityKey))),
+      occupiedCities
+    );
+    if (!routeKey) {
+      break;
     }
 
-    // Check if route is already owned
-    if (routeOwnership.has(routeKey)) {
-      continue;
-    }
-
-    // Check if any cities in the route are owned by other companies
-    const routeCities = routes.get(routeKey).cities;
-    const isCityOwnedByOther = routeCities.some(cityKey => {
-      const owner = cityOwnership.get(cityKey);
-      return owner && owner !== companyName;
+    startCompany(independentRailroads, routeKey);
+    routes.get(routeKey).cities.forEach(cityKey => {
+      ownedCities.add(cityKey);
+      occupiedCities.add(cityKey);
     });
-
-    if (!isCityOwnedByOther) {
-      // Create the company and assign the route
-      independentRailroads[companyName] = {
-        name: companyName,
-        routes: [routeKey]
-      };
-
-      // Record ownership of route and cities
-      routeOwnership.set(routeKey, companyName);
-      routeCities.forEach(city => {
-        if (!cityOwnership.has(city)) {
-          cityOwnership.set(city, companyName);
-        }
-      });
-
-      assignedCount++;
-    }
   }
   
   // Return the independent railroads object
@@ -110,11 +130,94 @@ export function initializeIndependentRailroads() {
 
 
 /**
- * Called at the end of a round, this adds 0 or more segments and 0 or more independent railroad companies
+ * Whether the western section of the map has been broken: a contract has been delivered there, or a
+ * player's network reaches it
  *
  * @export
- * @param {G} G - global game state
- * @returns {Set|undefined} - Set of IDs of added routes or undefined if none were added
+ * @param {*} G - Game state object
+ * @returns {boolean}
+ */
+export function isWesternSectionBroken(G) {
+  return G.contracts.some(contract => contract.fulfilled && sectionOfCity(contract.destinationKey) === "Western") ||
+    G.players.some(([, props]) => [...networkCities(props)].some(cityKey => sectionOfCity(cityKey) === "Western"));
+}
+
+
+/**
+ * Price to merge with an independent railroad: $3,000 per segment, or $4,000 once the western section is broken
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {{routes: string[]}} railroad - from G.independentRailroads
+ * @returns {number}
+ */
+export function independentRailroadPrice(G, railroad) {
+  const perSegment = isWesternSectionBroken(G)
+    ? INDEPENDENT_PRICE_PER_SEGMENT_WESTERN_BROKEN
+    : INDEPENDENT_PRICE_PER_SEGMENT;
+  return railroad.routes.length * perSegment;
+}
+
+
+/**
+ * Keys of every city an independent railroad runs through
+ *
+ * @export
+ * @param {{routes: string[]}} railroad - from G.independentRailroads
+ * @returns {Set<string>}
+ */
+export function citiesOfRailroad(railroad) {
+  return new Set(railroad.routes.flatMap(routeKey => routes.get(routeKey)?.cities ?? []));
+}
+
+
+/**
+ * Returns a reason the player cannot merge with this independent railroad, or null if they can. The railroad
+ * must share a city with the player's network, unless a playtest override ignores that.
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {*} playerID
+ * @param {string} railroadName - key of G.independentRailroads
+ * @param {boolean} [ignoreConnection=false] - Playtest override: allow railroads that aren't connected
+ * @returns {string|null}
+ */
+export function acquisitionError(G, playerID, railroadName, ignoreConnection = false) {
+  const railroad = G.independentRailroads[railroadName];
+  const playerProps = G.players.find(([id]) => id === playerID)?.[1];
+
+  if (!railroad) {
+    return `"${railroadName}" is not an independent railroad`;
+  }
+  if (!playerProps) {
+    return `player "${playerID}" not found`;
+  }
+  if (!ignoreConnection) {
+    const network = networkCities(playerProps);
+    if (![...citiesOfRailroad(railroad)].some(cityKey => network.has(cityKey))) {
+      return "not connected to your network";
+    }
+  }
+  if ((playerProps.cash ?? 0) < independentRailroadPrice(G, railroad)) {
+    return `not enough cash to merge with ${railroadName}`;
+  }
+  return null;
+}
+
+
+// Chance each round that a new independent railroad company starts up, on top of any other growth
+export const NEW_COMPANY_CHANCE = 0.2;
+
+
+/**
+ * Called at the end of a round, this adds 0 or more segments and 0 or more independent railroad companies.
+ * Growth extends existing companies where they have room; new companies start in open territory when a
+ * spawn roll succeeds or when no company has room to grow.
+ *
+ * @export
+ * @param {G} G - global game state; G.independentRailroads is changed in place
+ * @returns {{extended: Object<string, string[]>, created: Object<string, string[]>}} - Routes added to
+ *   existing companies and the routes of new companies, each keyed by company name
  */
 export function growIndependentRailroads(G) {
   /* Definitions used throughout this function
@@ -150,19 +253,19 @@ export function growIndependentRailroads(G) {
   const smallestMappedOccupancy = Math.min(...[...growthProbabilities.keys()]);
   const largestMappedOccupancy = Math.max(...[...growthProbabilities.keys()]);
 
-  // Collect keys of all active cities and what's adjacent to them
-  const activeCities = new Set();
-  G.players.forEach(([key, value]) => {
-    value.activeCities.forEach(city => { activeCities.add(city); });
-  })
-  const activeCitiesPlusOneHop = citiesConnectedTo(activeCities, { includeFromCities: true });
+  // Collect keys of every city in the players' networks
+  const activeCities = new Set(G.players.flatMap(([, props]) => [...networkCities(props)]));
 
-  /* Independent railroads can only grow into routes that are not adjacent to player routes.
-   * We can't know all the players' routes, but hopefully everything within 1 of their active
-   * cities will make a decent approximation.
+  /* Independent railroads can only grow into routes that are not adjacent to player routes. Players who
+   * record their track are avoided exactly; for players who only record active cities, hopefully
+   * everything within 1 of those cities will make a decent approximation.
    */
+  const citiesNearPlayers = new Set(G.players.flatMap(([, props]) => (props.track ?? []).length > 0
+    ? [...networkCities(props)]
+    : [...citiesConnectedTo(props.activeCities ?? [], { includeFromCities: true })]
+  ));
 
-  const routesNotNearActiveCities = routesWithoutTheseCities(activeCitiesPlusOneHop);
+  const routesNotNearActiveCities = routesWithoutTheseCities(citiesNearPlayers);
   const railroadsArray = Object.values(G.independentRailroads);
   const startingRouteCount = railroadsArray.reduce((acc, current) => acc + current.routes.length, 0);
   let startingOccupancy = Math.round(100 * startingRouteCount / routesNotNearActiveCities.size);
@@ -175,79 +278,80 @@ export function growIndependentRailroads(G) {
 
   const occupancyGrowth = weightedRandom(growthProbabilities.get(occupancyLookup));
 
-  // If there's a zero growth rate picked at random, we're done
-  if (occupancyGrowth === 0) return undefined;
-
   const newOccupancy = startingOccupancy + occupancyGrowth;
   let newRouteCount = Math.round(0.01 * newOccupancy * routesNotNearActiveCities.size);
 
   // Rounding might mean that a non-zero increase in occupancy would still result in no growth. If this happens,
   // make it a 50/50 chance we'll grow by one route anyway.
-  if (newRouteCount === startingRouteCount) {
-    if (Math.random() > 0.5) {
-      newRouteCount++
-    } else {
-      // No new routes, so we're done
-      return undefined;
-    }
+  if (occupancyGrowth > 0 && newRouteCount === startingRouteCount && Math.random() > 0.5) {
+    newRouteCount++;
   }
 
   // Finally, we have the number of routes we're going to add during this independent growth action
-  const numberOfRoutesToAdd = newRouteCount - startingRouteCount;
-  const addedRoutes = new Set();
-
-  // Now we try to expand, up to 100 times
-  let countOfAttempts = 0;
-
-  while (addedRoutes.size < numberOfRoutesToAdd && countOfAttempts++ < 100) {
-    // Pick an indepdendent RR at random
-    const railroadNames = Object.keys(G.independentRailroads);
-    const randomRailroadName = railroadNames[Math.floor(Math.random() * railroadNames.length)];
-    const railroadToExpand = G.independentRailroads[randomRailroadName];
-
-    /*
-     *  Add one route
-     */
-
-    // Get all the cities in this RR
-    const citiesInRailroad = new Set();
-    [...railroadToExpand.routes].forEach(routeKey => {
-      const [city1, city2] = routes.get(routeKey).cities;
-      citiesInRailroad.add(city1).add(city2);
-    });
-
-    // Get all the routes attached to those cities
-    const routesSuperset = new Set();
-    [...citiesInRailroad].forEach(cityKey => {
-      cities.get(cityKey).routes.forEach(r => routesSuperset.add(r));
-    })
-
-    // Get all the cities in other independent RRs
-    const citiesInOtherRailroads = new Set();
-    for (const [name, railroad] of Object.entries(G.independentRailroads)) {
-      if (name !== randomRailroadName) {
-        [...railroad.routes].forEach(routeKey => {
-          const [city1, city2] = routes.get(routeKey).cities;
-          citiesInOtherRailroads.add(city1).add(city2);
-        })
-      }
-    };
-
-    const routesOneHopAwayFromIndies = routesWithoutTheseCities(citiesConnectedTo(citiesInOtherRailroads, { includeFromCities: true }));
+  const numberOfRoutesToAdd = Math.max(0, newRouteCount - startingRouteCount);
+  const extended = {};
+  const created = {};
+
+  // Start a new company on the most open route that's away from players and at least 1 segment from other
+  // independent railroads. Returns false if there's nowhere left to put one.
+  const spawnCompany = () => {
+    const citiesInRailroads = new Set(Object.values(G.independentRailroads).flatMap(r => [...citiesOfRailroad(r)]));
+    const nearRailroads = citiesConnectedTo(citiesInRailroads, { includeFromCities: true });
+    const routeKey = mostOpenRoute(
+      [...routesNotNearActiveCities].filter(routeKey => !routes.get(routeKey).cities.some(cityKey => nearRailroads.has(cityKey))),
+      new Set([...activeCities, ...citiesInRailroads])
+    );
+    if (!routeKey) {
+      return false;
+    }
+    const companyName = startCompany(G.independentRailroads, routeKey);
+    created[companyName] = [routeKey];
+    return true;
+  };
 
-    const possibleRoutes = routesSuperset
-      .difference(new Set([...railroadToExpand.routes]))
-      .difference(routesOneHopAwayFromIndies)
-      .intersection(routesNotNearActiveCities);
+  // Every route some company could grow into, as [company name, route key]
+  const possibleExtensions = () => Object.entries(G.independentRailroads).flatMap(([name, railroad]) => {
+    const citiesInRailroad = citiesOfRailroad(railroad);
+    const citiesInOtherRailroads = new Set(
+      Object.entries(G.independentRailroads)
+        .filter(([otherName]) => otherName !== name)
+        .flatMap(([, other]) => [...citiesOfRailroad(other)])
+    );
+    const nearOtherRailroads = citiesConnectedTo(citiesInOtherRailroads, { includeFromCities: true });
+
+    return [...citiesInRailroad]
+      .flatMap(cityKey => cities.get(cityKey).routes)
+      .filter(routeKey =>
+        !railroad.routes.includes(routeKey) &&
+        routesNotNearActiveCities.has(routeKey) &&
+        !routes.get(routeKey).cities.some(cityKey => nearOtherRailroads.has(cityKey))
+      )
+      .map(routeKey => [name, routeKey]);
+  });
+
+  // A lucky roll starts a new company whatever else happens
+  if (Math.random() < NEW_COMPANY_CHANCE) {
+    spawnCompany();
+  }
 
-    if (possibleRoutes.size > 0) {
-      const routeToAdd = randomArrayItem([...possibleRoutes]);
-      railroadToExpand.routes.push(routeToAdd);
-      addedRoutes.add(routeToAdd);
+  // Grow one route at a time, extending a random company that has room, or starting a new one if none do
+  for (let i = 0; i < numberOfRoutesToAdd; i++) {
+    const extensions = possibleExtensions();
+    if (extensions.length > 0) {
+      const [name, routeKey] = randomArrayItem(extensions);
+      G.independentRailroads[name].routes.push(routeKey);
+      // A company started this round reports all its routes as created
+      if (created[name]) {
+        created[name].push(routeKey);
+      } else {
+        extended[name] = [...(extended[name] ?? []), routeKey];
+      }
+    } else if (!spawnCompany()) {
+      break;
     }
   }
   
-  return addedRoutes;
+  return { extended, created };
 }
 
 
@@ -0,0 +1,193 @@
+import { vi } from 'vitest';
+import { routes } from './data';
+import { distancesFrom } from './utils/graph';
+import { STARTING_CITY_PAIRS } from './startingPositions';
+import {
+  MIN_TOTAL_RAILROADS,
+  MAX_TOTAL_RAILROADS,
+  INDEPENDENT_PRICE_PER_SEGMENT,
+  INDEPENDENT_PRICE_PER_SEGMENT_WESTERN_BROKEN,
+  initializeIndependentRailroads,
+  isWesternSectionBroken,
+  independentRailroadPrice,
+  acquisitionError,
+  citiesOfRailroad,
+  growIndependentRailroads,
+} from './independentRailroads';
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('initializeIndependentRailroads', () => {
+  const startingCityDistances = distancesFrom(STARTING_CITY_PAIRS.flatMap(pair => pair.cities));
+
+  test.each([2, 3, 4, 5])('places enough independents for %i players to make 9–12 railroads in all', (numPlayers) => {
+    // The first random number picks the total number of railroads
+    vi.spyOn(Math, 'random').mockReturnValueOnce(0);
+    const fewest = Object.values(initializeIndependentRailroads(numPlayers));
+    vi.spyOn(Math, 'random').mockReturnValueOnce(0.999);
+    const most = Object.values(initializeIndependentRailroads(numPlayers));
+
+    expect(fewest.length + numPlayers).toBe(MIN_TOTAL_RAILROADS);
+    expect(most.length + numPlayers).toBe(MAX_TOTAL_RAILROADS);
+    expect([...fewest, ...most].every(railroad => railroad.routes.length === 1 && routes.has(railroad.routes[0]))).toBe(true);
+  });
+
+  test('keeps independents more than 2 segments from every starting city', () => {
+    for (let i = 0; i < 5; i++) {
+      const cityKeys = Object.values(initializeIndependentRailroads(3)).flatMap(railroad => [...citiesOfRailroad(railroad)]);
+      expect(cityKeys.every(cityKey => startingCityDistances.get(cityKey) > 2)).toBe(true);
+    }
+  });
+
+  test('never lets two independents share a city', () => {
+    for (let i = 0; i < 5; i++) {
+      const cityKeys = Object.values(initializeIndependentRailroads(2)).flatMap(railroad => [...citiesOfRailroad(railroad)]);
+      expect(new Set(cityKeys).size).toBe(cityKeys.length);
+    }
+  });
+
+  test('needs the number of players', () => {
+    expect(() => initializeIndependentRailroads()).toThrow('number of players');
+  });
+});
+
+// A two-segment independent next to player 0, who starts in Atlanta with $6,000
+const gulf = { name: 'Gulf RR', routes: ['Atlanta-Birmingham', 'Birmingham-Memphis'] };
+function game({ contracts = [], cash = 6000, track = [], activeCities = ['Atlanta'] } = {}) {
+  return {
+    contracts,
+    independentRailroads: { 'Gulf RR': gulf },
+    players: [
+      ['0', { activeCities, cash, track }],
+      ['1', { activeCities: ['Boston'], cash: 6000, track: [] }],
+    ],
+  };
+}
+const delivery = (destinationKey, fulfilled) =>
+  ({ id: destinationKey, destinationKey, commodity: 'coal', fulfilled, playerID: '1', type: 'market' });
+
+describe('isWesternSectionBroken', () => {
+  test('is not broken while everyone is in the east', () => {
+    expect(isWesternSectionBroken(game({ contracts: [delivery('Chicago', true)] }))).toBe(false);
+  });
+
+  test('breaks when a contract is delivered in the western section', () => {
+    expect(isWesternSectionBroken(game({ contracts: [delivery('Denver', false)] }))).toBe(false);
+    expect(isWesternSectionBroken(game({ contracts: [delivery('Denver', true)] }))).toBe(true);
+  });
+
+  test('breaks when a player\'s network reaches the western section', () => {
+    expect(isWesternSectionBroken(game({ track: [{ routeKey: 'Denver-Kansas City', parallel: false }] }))).toBe(true);
+  });
+});
+
+describe('independentRailroadPrice', () => {
+  test('charges $3,000 a segment until the western section is broken, then $4,000', () => {
+    expect(INDEPENDENT_PRICE_PER_SEGMENT).toBe(3000);
+    expect(INDEPENDENT_PRICE_PER_SEGMENT_WESTERN_BROKEN).toBe(4000);
+    expect(independentRailroadPrice(game(), gulf)).toBe(6000);
+    expect(independentRailroadPrice(game({ contracts: [delivery('Denver', true)] }), gulf)).toBe(8000);
+  });
+});
+
+describe('acquisitionError', () => {
+  test('needs enough cash for the price', () => {
+    expect(acquisitionError(game(), '0', 'Gulf RR')).toBeNull();
+    expect(acquisitionError(game({ cash: 5999 }), '0', 'Gulf RR')).toMatch('not enough cash');
+    expect(acquisitionError(game({ contracts: [delivery('Denver', true)] }), '0', 'Gulf RR')).toMatch('not enough cash');
+  });
+});
+
+describe('connection to the buyer\'s network', () => {
+  test('lists the cities a railroad runs through', () => {
+    expect(citiesOfRailroad(gulf)).toEqual(new Set(['Atlanta', 'Birmingham', 'Memphis']));
+  });
+
+  test('allows a railroad that shares a city with the buyer\'s network', () => {
+    expect(acquisitionError(game(), '0', 'Gulf RR')).toBeNull();
+    // Connected through track the player built rather than their active cities
+    const throughTrack = game({ activeCities: ['Dallas'], track: [{ routeKey: 'Dallas-Memphis', parallel: false }] });
+    expect(acquisitionError(throughTrack, '0', 'Gulf RR')).toBeNull();
+  });
+
+  test('refuses a railroad that doesn\'t touch the buyer\'s network', () => {
+    expect(acquisitionError(game({ activeCities: ['Boston'] }), '0', 'Gulf RR')).toBe('not connected to your network');
+  });
+
+  test('allows an unconnected railroad with the playtest override', () => {
+    expect(acquisitionError(game({ activeCities: ['Boston'] }), '0', 'Gulf RR', true)).toBeNull();
+  });
+});
+
+describe('growIndependentRailroads', () => {
+  // Math.random returns these rolls in order, then a fixed pseudo-random sequence so names and ties still vary
+  const stubRandom = (...rolls) => {
+    let seed = 1;
+    vi.spyOn(Math, 'random').mockImplementation(() =>
+      rolls.length > 0 ? rolls.shift() : (seed = (seed * 16807) % 2147483647) / 2147483647
+    );
+  };
+  const LARGEST_GROWTH = 0.999;
+  const NO_NEW_COMPANY = 0.999;
+  const NEW_COMPANY = 0;
+
+  // Gulf RR is boxed in: every route out of Atlanta or Birmingham touches a city within 1 of the player
+  const boxedIn = () => ({
+    players: [['0', { activeCities: ['Atlanta'] }]],
+    independentRailroads: { 'Gulf RR': { name: 'Gulf RR', routes: ['Atlanta-Birmingham'] } },
+  });
+
+  test('starts a new company when no company has room to grow', () => {
+    stubRandom(LARGEST_GROWTH, NO_NEW_COMPANY);
+    const G = boxedIn();
+    const { extended, created } = growIndependentRailroads(G);
+
+    expect(Object.keys(created).length).toBeGreaterThan(0);
+    expect(extended).toEqual({});
+    expect(G.independentRailroads['Gulf RR'].routes).toEqual(['Atlanta-Birmingham']);
+  });
+
+  test('starts a new company on a lucky roll even when others have room', () => {
+    stubRandom(0, NEW_COMPANY);
+    const G = { players: [['0', { activeCities: ['Boston'] }]], independentRailroads: { 'Gulf RR': { ...gulf, routes: [...gulf.routes] } } };
+    const { created } = growIndependentRailroads(G);
+
+    expect(Object.keys(created)).toHaveLength(1);
+  });
+
+  test('keeps new companies at least 1 segment from other independents and from players', () => {
+    stubRandom(0, NEW_COMPANY);
+    const G = {
+      players: [['0', { activeCities: ['Chicago'] }], ['1', { activeCities: ['Boston'] }]],
+      independentRailroads: {
+        'Gulf RR': { ...gulf, routes: [...gulf.routes] },
+        'Plains RR': { name: 'Plains RR', routes: ['Denver-Omaha'] },
+      },
+    };
+    const independentCities = ['Atlanta', 'Birmingham', 'Memphis', 'Denver', 'Omaha'];
+    const { created } = growIndependentRailroads(G);
+    const [firstRoute] = Object.values(created)[0];
+
+    const fromIndependents = distancesFrom(independentCities);
+    const fromPlayers = distancesFrom(['Chicago', 'Boston']);
+    routes.get(firstRoute).cities.forEach(cityKey => {
+      expect(fromIndependents.get(cityKey)).toBeGreaterThan(1);
+      expect(fromPlayers.get(cityKey)).toBeGreaterThan(1);
+    });
+  });
+
+  test('reports every route of a new company under created and none under extended', () => {
+    stubRandom(LARGEST_GROWTH, NO_NEW_COMPANY);
+    const G = boxedIn();
+    const { extended, created } = growIndependentRailroads(G);
+
+    // The new company grew past its first route in the same round
+    expect(Object.values(created).flat().length).toBeGreaterThan(Object.keys(created).length);
+    Object.entries(created).forEach(([name, newRoutes]) => {
+      expect(extended[name]).toBeUndefined();
+      expect(G.independentRailroads[name].routes).toEqual(newRoutes);
+    });
+  });
+});
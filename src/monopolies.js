@@ -0,0 +1,130 @@
+import { commodities } from "./data";
+import { citiesConnectedTo } from "./utils/graph";
+import { networkCities } from "./network";
+
+/**
+ * Monopolies: a player holds a monopoly in a commodity supplied by 4, 5 or 6 cities when their network
+ * connects to every one of those cities and they have a Commodities Exchange Office for it. Only the
+ * first player to qualify can hold it.
+ */
+
+// Monopoly Size table, keyed by the number of cities that supply the commodity: railroad ties awarded,
+// and the chance (%) of the commodity in a private contract after a delivery near a supplying city
+export const MONOPOLY_SIZES = new Map([
+  [4, { ties: 2, chance: 40 }],
+  [5, { ties: 3, chance: 50 }],
+  [6, { ties: 4, chance: 60 }],
+]);
+
+
+/**
+ * Returns the monopoly terms for a commodity, or undefined if it can't be monopolized
+ *
+ * @export
+ * @param {string} commodity
+ * @returns {{ties: number, chance: number}|undefined}
+ */
+export function monopolyTerms(commodity) {
+  const supplyingCities = commodities.get(commodity)?.cities ?? [];
+  return MONOPOLY_SIZES.get(supplyingCities.length);
+}
+
+
+/**
+ * Whether a player has a Commodities Exchange Office for a commodity
+ *
+ * @export
+ * @param {Object} playerProps - Player data from G.players
+ * @param {string} commodity
+ * @returns {boolean}
+ */
+export function hasExchangeOffice(playerProps, commodity) {
+  return (playerProps.upgrades ?? []).some(upgrade => upgrade.name === "Commodities Exchange Office" && upgrade.option === commodity);
+}
+
+
+/**
+ * Whether a player meets the requirements for a monopoly, regardless of whether someone already holds it
+ *
+ * @export
+ * @param {Object} playerProps - Player data from G.players
+ * @param {string} commodity
+ * @returns {boolean}
+ */
+export function qualifiesForMonopoly(playerProps, commodity) {
+  if (!monopolyTerms(commodity) || !hasExchangeOffice(playerProps, commodity)) {
+    return false;
+  }
+  const network = networkCities(playerProps);
+  return commodities.get(commodity).cities.every(cityKey => network.has(cityKey));
+}
+
+
+/**
+ * Awards any monopolies that are not yet held to the first player who qualifies for them. Players are
+ * checked in G.players order; the player who just acted is the only one whose network can have changed.
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @returns {Object<string, string>} Updated monopolies: commodity → playerID of the holder
+ */
+export function awardMonopolies(G) {
+  const monopolies = { ...(G.monopolies ?? {}) };
+  commodities.forEach((_, commodity) => {
+    if (monopolies[commodity] !== undefined) return;
+    const holder = G.players.find(([, props]) => qualifiesForMonopoly(props, commodity));
+    if (holder) {
+      monopolies[commodity] = holder[0];
+    }
+  });
+  return monopolies;
+}
+
+
+/**
+ * Railroad ties a player has earned from the monopolies they hold
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {*} playerID
+ * @returns {number}
+ */
+export function monopolyTies(G, playerID) {
+  return Object.entries(G.monopolies ?? {})
+    .filter(([, holder]) => holder === playerID)
+    .reduce((ties, [commodity]) => ties + (monopolyTerms(commodity)?.ties ?? 0), 0);
+}
+
+
+/**
+ * Weights for choosing a private contract's commodity. After a delivery within one hop of a city that
+ * supplies a commodity the player has a monopoly in, that commodity has its Monopoly Size chance of being
+ * chosen; the other commodities share the remaining odds equally. Otherwise all commodities are equally likely.
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {*} playerID - player the contract is for
+ * @param {string} deliveryCityKey - city the player most recently delivered to
+ * @param {Set<string>|string[]} candidates - commodities the contract could be for
+ * @returns {Map<string, number>} commodity → integer weight, for use with weightedRandom
+ */
+export function privateContractCommodityWeights(G, playerID, deliveryCityKey, candidates) {
+  const nearbyCities = citiesConnectedTo([deliveryCityKey], { includeFromCities: true });
+  const boosted = [...candidates].filter(commodity =>
+    G.monopolies?.[commodity] === playerID &&
+    commodities.get(commodity).cities.some(cityKey => nearbyCities.has(cityKey))
+  );
+  const others = [...candidates].filter(commodity => !boosted.includes(commodity));
+
+  const weights = new Map();
+  if (boosted.length === 0 || others.length === 0) {
+    [...candidates].forEach(commodity => weights.set(commodity, 1));
+    return weights;
+  }
+
+  // Scale by the number of other commodities so every weight is a whole number
+  const boostedTotal = boosted.reduce((sum, commodity) => sum + monopolyTerms(commodity).chance, 0);
+  boosted.forEach(commodity => weights.set(commodity, monopolyTerms(commodity).chance * others.length));
+  others.forEach(commodity => weights.set(commodity, Math.max(0, 100 - boostedTotal)));
+  return weights;
+}
@@ -0,0 +1,45 @@
+import { awardMonopolies, monopolyTerms, privateContractCommodityWeights } from './monopolies';
+
+const grainCities = ['Des Moines', 'Kansas City', 'Minneapolis', 'Omaha', 'Winnipeg'];
+
+describe('monopolyTerms', () => {
+  test('follows the Monopoly Size table', () => {
+    expect(monopolyTerms('lead')).toEqual({ ties: 2, chance: 40 });
+    expect(monopolyTerms('grain')).toEqual({ ties: 3, chance: 50 });
+    expect(monopolyTerms('coal')).toEqual({ ties: 4, chance: 60 });
+    expect(monopolyTerms('fish')).toBeUndefined();
+  });
+});
+
+describe('awardMonopolies', () => {
+  test('needs every supplying city and an Exchange Office, and keeps the first holder', () => {
+    const G = {
+      monopolies: {},
+      players: [
+        ['0', { activeCities: grainCities, upgrades: [] }],
+        ['1', { activeCities: grainCities, upgrades: [{ name: 'Commodities Exchange Office', option: 'grain' }] }],
+        ['2', { activeCities: grainCities.slice(1), upgrades: [{ name: 'Commodities Exchange Office', option: 'grain' }] }],
+      ],
+    };
+    expect(awardMonopolies(G)).toEqual({ grain: '1' });
+
+    const later = { ...G, monopolies: { grain: '1' }, players: [['0', { activeCities: grainCities, upgrades: [{ name: 'Commodities Exchange Office', option: 'grain' }] }], ...G.players.slice(1)] };
+    expect(awardMonopolies(later)).toEqual({ grain: '1' });
+  });
+});
+
+describe('privateContractCommodityWeights', () => {
+  test('gives a monopolized commodity its chance after a nearby delivery', () => {
+    const G = { monopolies: { grain: '0' } };
+    const weights = privateContractCommodityWeights(G, '0', 'Omaha', ['grain', 'coal', 'wood']);
+    const total = [...weights.values()].reduce((a, b) => a + b, 0);
+    expect(weights.get('grain') / total).toBe(0.5);
+    expect(weights.get('coal')).toBe(weights.get('wood'));
+  });
+
+  test('is uniform for other players and far-away deliveries', () => {
+    const G = { monopolies: { grain: '0' } };
+    expect([...privateContractCommodityWeights(G, '1', 'Omaha', ['grain', 'coal']).values()]).toEqual([1, 1]);
+    expect([...privateContractCommodityWeights(G, '0', 'Boston', ['grain', 'coal']).values()]).toEqual([1, 1]);
+  });
+});
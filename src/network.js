@@ -0,0 +1,75 @@
+/**
+ * A player's rail network: the track they've built and the cities their railroad connects to
+ */
+
+import { routes } from "./data";
+
+// No more than two tracks can be laid on a route: the first and one parallel track
+export const MAX_TRACKS_PER_ROUTE = 2;
+
+
+/**
+ * Returns the keys of every city a player's network connects to: their active cities plus both ends of every
+ * track segment they've built
+ *
+ * @export
+ * @param {Object} playerProps - Player data from G.players
+ * @returns {Set<string>}
+ */
+export function networkCities(playerProps) {
+  const cityKeys = new Set(playerProps.activeCities ?? []);
+  (playerProps.track ?? []).forEach(({ routeKey }) => {
+    routes.get(routeKey)?.cities.forEach(cityKey => cityKeys.add(cityKey));
+  });
+  return cityKeys;
+}
+
+
+/**
+ * Returns the IDs of the players who have built track on a route, in the order it was built
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {string} routeKey - key of routes in data/routes.js
+ * @returns {string[]}
+ */
+export function trackOwners(G, routeKey) {
+  return G.players
+    .filter(([, props]) => (props.track ?? []).some(segment => segment.routeKey === routeKey))
+    .map(([playerID]) => playerID);
+}
+
+
+/**
+ * Returns a reason the player cannot build track on this route, or null if they can. The route must touch
+ * the player's network, and there's room for one parallel track beside someone else's.
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {string} playerID
+ * @param {string} routeKey - key of routes in data/routes.js
+ * @returns {string|null}
+ */
+export function trackBuildError(G, playerID, routeKey) {
+  const route = routes.get(routeKey);
+  const playerProps = G.players.find(([id]) => id === playerID)?.[1];
+
+  if (!route) {
+    return `"${routeKey}" is not a route`;
+  }
+  if (!playerProps) {
+    return `player "${playerID}" not found`;
+  }
+  const owners = trackOwners(G, routeKey);
+  if (owners.includes(playerID)) {
+    return `you already have track on ${routeKey}`;
+  }
+  if (owners.length >= MAX_TRACKS_PER_ROUTE) {
+    return `${routeKey} already has ${MAX_TRACKS_PER_ROUTE} tracks`;
+  }
+  const network = networkCities(playerProps);
+  if (!route.cities.some(cityKey => network.has(cityKey))) {
+    return `${routeKey} doesn't touch your network`;
+  }
+  return null;
+}
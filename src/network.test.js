@@ -0,0 +1,32 @@
+import { networkCities, trackBuildError } from './network';
+
+describe('networkCities', () => {
+  test('includes both ends of every track segment', () => {
+    const props = { activeCities: ['Atlanta'], track: [{ routeKey: 'Birmingham-Memphis', parallel: false }] };
+    expect([...networkCities(props)].sort()).toEqual(['Atlanta', 'Birmingham', 'Memphis']);
+  });
+});
+
+describe('trackBuildError', () => {
+  const game = (track0 = [], track1 = [], track2 = []) => ({
+    players: [
+      ['0', { activeCities: ['Atlanta'], track: track0 }],
+      ['1', { activeCities: ['Birmingham'], track: track1 }],
+      ['2', { activeCities: ['Memphis'], track: track2 }],
+    ],
+  });
+  const segment = routeKey => [{ routeKey, parallel: false }];
+
+  test('allows routes that touch the network', () => {
+    expect(trackBuildError(game(), '0', 'Atlanta-Birmingham')).toBeNull();
+    expect(trackBuildError(game(), '0', 'Birmingham-Memphis')).toMatch("doesn't touch your network");
+    expect(trackBuildError(game(segment('Atlanta-Birmingham')), '0', 'Birmingham-Memphis')).toBeNull();
+  });
+
+  test('allows one parallel track beside another player', () => {
+    expect(trackBuildError(game([], segment('Atlanta-Birmingham')), '0', 'Atlanta-Birmingham')).toBeNull();
+    expect(trackBuildError(game(segment('Atlanta-Birmingham')), '0', 'Atlanta-Birmingham')).toMatch('already have track');
+    expect(trackBuildError(game([], segment('Birmingham-Memphis'), segment('Birmingham-Memphis')), '0', 'Birmingham-Memphis'))
+      .toMatch('already has 2 tracks');
+  });
+});
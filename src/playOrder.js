@@ -0,0 +1,45 @@
+/**
+ * Play order: the "Go first next round" action, which one player a round may take to lead off the next one
+ */
+
+
+/**
+ * Returns a reason the player cannot claim first position for next round, or null if they can
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {string} playerID
+ * @returns {string|null}
+ */
+export function firstPlayerClaimError(G, playerID) {
+  const claimedBy = G.nextRoundFirstPlayer ?? null;
+  if (!G.players.some(([id]) => id === playerID)) {
+    return `player "${playerID}" not found`;
+  }
+  if (claimedBy === playerID) {
+    return "you are already going first next round";
+  }
+  if (claimedBy !== null) {
+    const name = G.players.find(([id]) => id === claimedBy)?.[1]?.name ?? `Player ${claimedBy}`;
+    return `${name} is already going first next round`;
+  }
+  return null;
+}
+
+
+/**
+ * The order players take their turns in next round. Whoever claimed first position leads off and everyone
+ * else keeps their place around the table; otherwise the order is unchanged.
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {string[]} playOrder - This round's order, from ctx
+ * @returns {string[]}
+ */
+export function nextRoundPlayOrder(G, playOrder) {
+  const seat = playOrder.indexOf(G.nextRoundFirstPlayer ?? null);
+  if (seat <= 0) {
+    return playOrder;
+  }
+  return [...playOrder.slice(seat), ...playOrder.slice(0, seat)];
+}
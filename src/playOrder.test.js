@@ -0,0 +1,27 @@
+import { firstPlayerClaimError, nextRoundPlayOrder } from './playOrder';
+
+const game = (nextRoundFirstPlayer = null) => ({
+  nextRoundFirstPlayer,
+  players: [['0', { name: 'A' }], ['1', { name: 'B' }], ['2', { name: 'C' }]],
+});
+
+describe('firstPlayerClaimError', () => {
+  test('lets one player a round claim first position', () => {
+    expect(firstPlayerClaimError(game(), '1')).toBeNull();
+    expect(firstPlayerClaimError(game('1'), '1')).toMatch('already going first');
+    expect(firstPlayerClaimError(game('1'), '2')).toBe('B is already going first next round');
+    expect(firstPlayerClaimError(game(), '7')).toMatch('not found');
+  });
+});
+
+describe('nextRoundPlayOrder', () => {
+  test('rotates the order to start with whoever claimed first position', () => {
+    expect(nextRoundPlayOrder(game('2'), ['0', '1', '2'])).toEqual(['2', '0', '1']);
+    expect(nextRoundPlayOrder(game('1'), ['2', '0', '1'])).toEqual(['1', '2', '0']);
+  });
+
+  test('keeps the order when nobody claimed first position', () => {
+    expect(nextRoundPlayOrder(game(), ['1', '2', '0'])).toEqual(['1', '2', '0']);
+    expect(nextRoundPlayOrder(game('1'), ['1', '2', '0'])).toEqual(['1', '2', '0']);
+  });
+});
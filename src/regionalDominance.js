@@ -0,0 +1,95 @@
+import { cities, regions } from "./data";
+import { networkCities } from "./network";
+import { citiesOfRailroad } from "./independentRailroads";
+
+/**
+ * Regional dominance: a player dominates a region when they are connected to at least half (rounded down) of its cities,
+ * own a Regional Office there, and are connected to more of its cities than any other player or
+ * independent railroad
+ */
+
+// Railroad ties awarded at the end of the game for each region a player dominates
+export const REGIONAL_DOMINANCE_TIES = 4;
+
+
+/**
+ * Returns the keys of every city in a region
+ *
+ * @export
+ * @param {string} regionCode - key for regions Map (e.g. "NE")
+ * @returns {string[]}
+ */
+export function citiesInRegion(regionCode) {
+  return [...cities].filter(([, city]) => city.region === regionCode).map(([key]) => key);
+}
+
+
+/**
+ * Whether a player owns a Regional Office in a region
+ *
+ * @export
+ * @param {Object} playerProps - Player data from G.players
+ * @param {string} regionCode
+ * @returns {boolean}
+ */
+export function hasRegionalOffice(playerProps, regionCode) {
+  return (playerProps.upgrades ?? []).some(upgrade => upgrade.name === "Regional Office" && upgrade.option === regionCode);
+}
+
+
+/**
+ * Evaluates regional dominance in every region
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @returns {Map<string, {
+ *   cityCount: number,
+ *   threshold: number,
+ *   players: Array<{playerID: string, name: string, cities: number, hasRegionalOffice: boolean, qualifies: boolean}>,
+ *   independentRailroads: Array<{name: string, cities: number}>,
+ *   dominantPlayer: string|null
+ * }>} keyed by region code; threshold is the number of cities that makes half the region, rounded down
+ */
+export function evaluateRegionalDominance(G) {
+  const indieCities = Object.values(G.independentRailroads ?? {}).map(railroad => ({
+    name: railroad.name,
+    cities: citiesOfRailroad(railroad),
+  }));
+
+  const evaluation = new Map();
+  regions.forEach((region, regionCode) => {
+    const regionCities = new Set(citiesInRegion(regionCode));
+    const threshold = Math.floor(regionCities.size / 2);
+    const countIn = cityKeys => [...cityKeys].filter(key => regionCities.has(key)).length;
+
+    const players = G.players.map(([playerID, props]) => ({
+      playerID,
+      name: props.name,
+      cities: countIn(networkCities(props)),
+      hasRegionalOffice: hasRegionalOffice(props, regionCode),
+    }));
+    const independentRailroads = indieCities
+      .map(({ name, cities }) => ({ name, cities: countIn(cities) }))
+      .filter(railroad => railroad.cities > 0);
+
+    // Each player must beat every other player and every independent railroad outright
+    players.forEach(player => {
+      const bestRival = Math.max(
+        0,
+        ...players.filter(p => p.playerID !== player.playerID).map(p => p.cities),
+        ...independentRailroads.map(railroad => railroad.cities)
+      );
+      player.qualifies = player.hasRegionalOffice && player.cities >= threshold && player.cities > bestRival;
+    });
+
+    evaluation.set(regionCode, {
+      cityCount: regionCities.size,
+      threshold,
+      players,
+      independentRailroads,
+      dominantPlayer: players.find(player => player.qualifies)?.playerID ?? null,
+    });
+  });
+
+  return evaluation;
+}
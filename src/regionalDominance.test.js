@@ -0,0 +1,36 @@
+import { evaluateRegionalDominance } from './regionalDominance';
+
+describe('evaluateRegionalDominance', () => {
+  const northwest = ['Seattle', 'Portland OR', 'Spokane', 'Vancouver'];
+
+  test('needs half the region (rounded down) and a Regional Office', () => {
+    const G = {
+      independentRailroads: {},
+      players: [
+        ['0', { name: 'A', activeCities: northwest, upgrades: [{ name: 'Regional Office', option: 'NW' }] }],
+        ['1', { name: 'B', activeCities: northwest.slice(0, 3), upgrades: [] }],
+      ],
+    };
+
+    const region = evaluateRegionalDominance(G).get('NW');
+    expect(region.cityCount).toBe(9);
+    expect(region.threshold).toBe(4);
+    expect(region.players.map(p => p.cities)).toEqual([4, 3]);
+    expect(region.dominantPlayer).toBe('0');
+  });
+
+  test('is blocked by an independent railroad with as many cities', () => {
+    const G = {
+      independentRailroads: {
+        'Northern RR': { name: 'Northern RR', routes: ['Bismarck-Butte', 'Bismarck-Regina', 'Calgary-Regina', 'Regina-Winnipeg'] },
+      },
+      players: [
+        ['0', { name: 'A', activeCities: northwest, upgrades: [{ name: 'Regional Office', option: 'NW' }] }],
+      ],
+    };
+
+    const region = evaluateRegionalDominance(G).get('NW');
+    expect(region.independentRailroads).toEqual([{ name: 'Northern RR', cities: 5 }]);
+    expect(region.dominantPlayer).toBeNull();
+  });
+});
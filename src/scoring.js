@@ -0,0 +1,147 @@
+import { evaluateRegionalDominance, REGIONAL_DOMINANCE_TIES } from "./regionalDominance";
+import { monopolyTies } from "./monopolies";
+import { engineEndOfGameTies } from "./engines";
+
+/**
+ * Scoring: railroad ties earned from fulfilled contracts, the commodity breadth and depth bonuses, which
+ * are always derived from the fulfilled contracts in G.contracts, monopolies, and the end-of-game awards
+ */
+
+// The game ends when any player reaches this many railroad ties
+export const WINNING_TIES = 30;
+
+// Breadth bonus tiers: ties per distinct commodity, and how many commodities each tier covers
+const BREADTH_TIERS = [
+  { commodities: 8, ties: 1 },
+  { commodities: 4, ties: 2 },
+  { commodities: Infinity, ties: 3 },
+];
+
+
+/**
+ * Counts the deliveries of each commodity in a player's fulfilled contracts
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {*} playerID
+ * @returns {Map<string, number>} commodity → number of fulfilled contracts
+ */
+export function commodityDeliveries(G, playerID) {
+  const counts = new Map();
+  G.contracts
+    .filter(c => c.fulfilled && c.playerID === playerID)
+    .forEach(c => counts.set(c.commodity, (counts.get(c.commodity) ?? 0) + 1));
+  return counts;
+}
+
+
+/**
+ * Breadth bonus for delivering a number of different commodities: the first eight are worth 1 tie each,
+ * the next four 2 each, and every one after that 3
+ *
+ * @export
+ * @param {number} distinctCommodities
+ * @returns {number}
+ */
+export function breadthBonus(distinctCommodities) {
+  let remaining = distinctCommodities;
+  let ties = 0;
+  for (const tier of BREADTH_TIERS) {
+    const inTier = Math.min(remaining, tier.commodities);
+    ties += inTier * tier.ties;
+    remaining -= inTier;
+  }
+  return ties;
+}
+
+
+/**
+ * Depth bonus for the player's most-delivered commodity: one plus the number of deliveries of it, once it
+ * has been delivered more than once
+ *
+ * @export
+ * @param {number} mostDeliveries - Deliveries of the player's most-delivered commodity
+ * @returns {number}
+ */
+export function depthBonus(mostDeliveries) {
+  return mostDeliveries >= 2 ? 1 + mostDeliveries : 0;
+}
+
+
+/**
+ * Breaks down a player's railroad ties
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {*} playerID
+ * @returns {{contracts: number, breadth: number, depth: number, monopolies: number, total: number}}
+ *   contracts is the ties collected during play (railroadTies): fulfilled contracts, West Coast bonuses and
+ *   connection bonuses
+ */
+export function scoreBreakdown(G, playerID) {
+  const playerProps = G.players.find(([id]) => id === playerID)?.[1] ?? {};
+  const deliveries = commodityDeliveries(G, playerID);
+
+  const contracts = playerProps.railroadTies ?? 0;
+  const breadth = breadthBonus(deliveries.size);
+  const depth = depthBonus(Math.max(0, ...deliveries.values()));
+  const monopolies = monopolyTies(G, playerID);
+
+  return {
+    contracts,
+    breadth,
+    depth,
+    monopolies,
+    total: contracts + breadth + depth + monopolies,
+  };
+}
+
+
+/**
+ * Whether any player has reached the railroad ties that end the game
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @returns {boolean}
+ */
+export function hasReachedWinningTies(G) {
+  return G.players.some(([id]) => scoreBreakdown(G, id).total >= WINNING_TIES);
+}
+
+
+/**
+ * Final scores with end-of-game awards added: 4 ties per dominated region and 2 for owning a Challenger.
+ * Players are ranked by total, and players with equal totals share a rank.
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @returns {Array<{playerID: string, name: string, rank: number, contracts: number, breadth: number,
+ *   depth: number, monopolies: number, regionalDominance: number, challenger: number, total: number}>} highest total first
+ */
+export function finalScores(G) {
+  const dominance = [...evaluateRegionalDominance(G).values()];
+
+  const scores = G.players.map(([playerID, props]) => {
+    const { contracts, breadth, depth, monopolies, total } = scoreBreakdown(G, playerID);
+    const regionalDominance = dominance.filter(region => region.dominantPlayer === playerID).length * REGIONAL_DOMINANCE_TIES;
+    const challenger = engineEndOfGameTies(props);
+
+    return {
+      playerID,
+      name: props.name,
+      contracts,
+      breadth,
+      depth,
+      monopolies,
+      regionalDominance,
+      challenger,
+      total: total + regionalDominance + challenger,
+    };
+  });
+
+  scores.sort((a, b) => b.total - a.total);
+  return scores.map(score => ({
+    ...score,
+    rank: scores.findIndex(s => s.total === score.total) + 1,
+  }));
+}
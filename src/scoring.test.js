@@ -0,0 +1,78 @@
+import { breadthBonus, depthBonus, scoreBreakdown, finalScores, hasReachedWinningTies } from './scoring';
+
+describe('breadthBonus', () => {
+  test('scores 1 tie each for the first eight commodities', () => {
+    expect(breadthBonus(0)).toBe(0);
+    expect(breadthBonus(8)).toBe(8);
+  });
+
+  test('scores 2 each for the next four and 3 each after that', () => {
+    expect(breadthBonus(12)).toBe(16);
+    expect(breadthBonus(14)).toBe(22);
+  });
+});
+
+describe('depthBonus', () => {
+  test('is one plus the most deliveries, once a commodity is delivered twice', () => {
+    expect(depthBonus(0)).toBe(0);
+    expect(depthBonus(1)).toBe(0);
+    expect(depthBonus(2)).toBe(3);
+    expect(depthBonus(5)).toBe(6);
+  });
+});
+
+describe('scoreBreakdown', () => {
+  const contract = (commodity, fulfilled = true, playerID = '0') => ({ commodity, fulfilled, playerID });
+
+  test('derives bonuses from fulfilled contracts only', () => {
+    const G = {
+      players: [['0', { railroadTies: 10 }], ['1', { railroadTies: 4 }]],
+      contracts: [
+        contract('coal'),
+        contract('coal'),
+        contract('wood'),
+        contract('fish', false),
+        contract('steel', true, '1'),
+      ],
+    };
+
+    expect(scoreBreakdown(G, '0')).toEqual({ contracts: 10, breadth: 2, depth: 3, monopolies: 0, total: 15 });
+    expect(scoreBreakdown(G, '1')).toEqual({ contracts: 4, breadth: 1, depth: 0, monopolies: 0, total: 5 });
+  });
+});
+
+describe('finalScores', () => {
+  test('adds the Challenger award and ranks players, sharing ranks on equal totals', () => {
+    const G = {
+      contracts: [],
+      independentRailroads: {},
+      players: [
+        ['0', { name: 'A', activeCities: [], railroadTies: 28 }],
+        ['1', { name: 'B', activeCities: [], railroadTies: 30, engines: ['Challenger'] }],
+        ['2', { name: 'C', activeCities: [], railroadTies: 30 }],
+      ],
+    };
+
+    expect(hasReachedWinningTies(G)).toBe(true);
+    expect(finalScores(G).map(({ playerID, challenger, total, rank }) => ({ playerID, challenger, total, rank }))).toEqual([
+      { playerID: '1', challenger: 2, total: 32, rank: 1 },
+      { playerID: '2', challenger: 0, total: 30, rank: 2 },
+      { playerID: '0', challenger: 0, total: 28, rank: 3 },
+    ]);
+  });
+
+  test('awards regional dominance to a qualifying player', () => {
+    const G = {
+      contracts: [],
+      independentRailroads: {},
+      players: [
+        ['0', { name: 'A', activeCities: ['Seattle', 'Portland OR', 'Spokane', 'Vancouver', 'Butte'], railroadTies: 0, upgrades: [{ name: 'Regional Office', option: 'NW' }] }],
+        ['1', { name: 'B', activeCities: [], railroadTies: 0 }],
+      ],
+    };
+
+    const [first] = finalScores(G);
+    expect(first.playerID).toBe('0');
+    expect(first.regionalDominance).toBe(4);
+  });
+});
@@ -0,0 +1,265 @@
+import { cities } from "./data";
+import { citiesConnectedTo } from "./utils/graph";
+import { valueOfCity } from "./Contract";
+import { STARTING_POSITION_MODEL } from "./config/startingPositions";
+
+/**
+ * Starting positions: the pairs of cities players start from, how desirable each is, and the draft that hands
+ * them out
+ */
+
+// A game that hasn't started yet, as when starting pairs are drafted: no contracts fulfilled and no hubs
+const NEW_GAME = { contracts: [], players: [] };
+
+/**
+ * Available starting city pairs. Desirability is how good a start the pair gives, higher is better, scored
+ * from the map by the starting position model (see pairDesirability) for a game that hasn't started; the
+ * draft uses it to settle ties and to pick who goes first. It's scored the first time it's read, since the
+ * model values cities through modules that import this one.
+ *
+ * @type {Array<{cities: [string, string], desirability: number}>}
+ */
+export const STARTING_CITY_PAIRS = [
+  ["Quebec City", "Montreal"],
+  ["Boston", "Portland ME"],
+  ["Philadelphia", "New York"],
+  ["Washington", "Philadelphia"],
+  ["Raleigh", "Norfolk"],
+  ["Charleston", "Savannah"],
+].map(pairCities => {
+  let desirability;
+  return {
+    cities: pairCities,
+    get desirability() {
+      desirability ??= cityPairDesirability(NEW_GAME, pairCities).score;
+      return desirability;
+    },
+  };
+});
+
+// Each player ranks this many pairs, favorite first
+export const RANKED_CHOICES = 3;
+
+// Satisfaction for getting a player's first, second or third choice; anything unranked is 0
+const CHOICE_SATISFACTION = [3, 2, 1];
+
+
+/**
+ * Returns a reason this ranking can't be submitted, or null if it can
+ *
+ * @export
+ * @param {number[]} ranking - Indexes into STARTING_CITY_PAIRS, favorite first
+ * @returns {string|null}
+ */
+export function startingRankingError(ranking) {
+  if (!Array.isArray(ranking) || ranking.length !== RANKED_CHOICES) {
+    return `rank exactly ${RANKED_CHOICES} starting pairs`;
+  }
+  if (!ranking.every(index => Number.isInteger(index) && index >= 0 && index < STARTING_CITY_PAIRS.length)) {
+    return "ranking includes a starting pair that doesn't exist";
+  }
+  if (new Set(ranking).size !== ranking.length) {
+    return "each starting pair can only be ranked once";
+  }
+  return null;
+}
+
+
+/**
+ * Seals a ranking so the shared game state doesn't show it while the draft is open. A random salt keeps two
+ * players who ranked the same pairs from having the same sealed ranking. With no server to hold rankings, this
+ * keeps them out of sight rather than making them impossible to read.
+ *
+ * @export
+ * @param {number[]} ranking - Indexes into STARTING_CITY_PAIRS, favorite first
+ * @returns {string}
+ */
+export function sealRanking(ranking) {
+  return btoa(JSON.stringify({ salt: Math.random(), ranking }));
+}
+
+
+/**
+ * Reads a ranking sealed by sealRanking
+ *
+ * @export
+ * @param {string} sealed
+ * @returns {number[]}
+ */
+export function unsealRanking(sealed) {
+  return JSON.parse(atob(sealed)).ranking;
+}
+
+
+/**
+ * How happy a player is to receive a pair, from their ranking
+ *
+ * @param {number[]} ranking
+ * @param {number} pairIndex
+ * @returns {number}
+ */
+function satisfaction(ranking, pairIndex) {
+  const position = ranking.indexOf(pairIndex);
+  return position === -1 ? 0 : CHOICE_SATISFACTION[position];
+}
+
+
+/**
+ * Scores how good a start a pair gives, from the map around it: how many different commodities are nearby,
+ * how valuable the nearby cities are and how much room there is to grow. Tuned by STARTING_POSITION_MODEL.
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {number} pairIndex - Index into STARTING_CITY_PAIRS
+ * @returns {{commodities: number, cityValue: number, openSpace: number, score: number}} the raw factors and
+ *   the weighted desirability score, higher is better
+ */
+export function pairDesirability(G, pairIndex) {
+  return cityPairDesirability(G, STARTING_CITY_PAIRS[pairIndex].cities);
+}
+
+
+/**
+ * Desirability of a pair of cities, as pairDesirability
+ *
+ * @param {*} G - Game state object
+ * @param {[string, string]} pair - Keys of the two cities
+ * @returns {{commodities: number, cityValue: number, openSpace: number, score: number}}
+ */
+function cityPairDesirability(G, pair) {
+  const { commodityDistance, cityValueDistance, openSpaceDistance, weights } = STARTING_POSITION_MODEL;
+
+  const commoditiesNearby = new Set(
+    [...citiesConnectedTo(pair, { distance: commodityDistance, includeFromCities: true })]
+      .flatMap(cityKey => cities.get(cityKey).commodities)
+  );
+  const cityValue = [...citiesConnectedTo(pair, { distance: cityValueDistance, includeFromCities: true })]
+    .reduce((sum, cityKey) => sum + valueOfCity(G, cityKey), 0);
+  const openSpace = citiesConnectedTo(pair, { distance: openSpaceDistance }).size;
+
+  return {
+    commodities: commoditiesNearby.size,
+    cityValue,
+    openSpace,
+    score: weights.commodities * commoditiesNearby.size + weights.cityValue * cityValue + weights.openSpace * openSpace,
+  };
+}
+
+
+/**
+ * Extra starting cash for a player whose pair is less desirable than the best pair handed out, and the
+ * reason for it
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {number} pairIndex - The player's pair, an index into STARTING_CITY_PAIRS
+ * @param {number[]} assignedPairIndexes - Every pair handed out in this game
+ * @returns {{cash: number, reason: string|null}}
+ */
+export function startingAdjustment(G, pairIndex, assignedPairIndexes) {
+  const { cashPerPoint, cashIncrement, maxCash } = STARTING_POSITION_MODEL;
+  const own = pairDesirability(G, pairIndex);
+  const bestIndex = assignedPairIndexes.reduce((best, index) =>
+    pairDesirability(G, index).score > pairDesirability(G, best).score ? index : best
+  , pairIndex);
+  const best = pairDesirability(G, bestIndex);
+
+  const points = best.score - own.score;
+  const cash = Math.min(maxCash, Math.floor(points * cashPerPoint / cashIncrement) * cashIncrement);
+  if (cash <= 0) {
+    return { cash: 0, reason: null };
+  }
+
+  const shortfalls = [
+    own.commodities < best.commodities && `fewer commodities nearby (${own.commodities} vs ${best.commodities})`,
+    own.cityValue < best.cityValue && `less valuable cities nearby (${own.cityValue} vs ${best.cityValue})`,
+    own.openSpace < best.openSpace && `less room to grow (${own.openSpace} vs ${best.openSpace} cities)`,
+  ].filter(Boolean);
+
+  return {
+    cash,
+    reason: `${STARTING_CITY_PAIRS[pairIndex].cities.join(" & ")} has ${shortfalls.join(", ")} compared with ${STARTING_CITY_PAIRS[bestIndex].cities.join(" & ")}`,
+  };
+}
+
+
+/**
+ * Every way of giving each player a different pair, where no two players' pairs share a city
+ *
+ * @param {number} numPlayers
+ * @returns {number[][]} each an array of pair indexes, one per player
+ */
+function possibleAssignments(numPlayers) {
+  const assignments = [];
+  const extend = (assignment, usedCities) => {
+    if (assignment.length === numPlayers) {
+      assignments.push(assignment);
+      return;
+    }
+    STARTING_CITY_PAIRS.forEach((pair, index) => {
+      if (!assignment.includes(index) && !pair.cities.some(city => usedCities.has(city))) {
+        extend([...assignment, index], new Set([...usedCities, ...pair.cities]));
+      }
+    });
+  };
+  extend([], new Set());
+  return assignments;
+}
+
+
+/**
+ * Compares two lists of scores in order of importance; the first difference decides
+ *
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {boolean} true if a beats b
+ */
+function isBetter(a, b) {
+  const i = a.findIndex((value, j) => value !== b[j]);
+  return i !== -1 && a[i] > b[i];
+}
+
+
+/**
+ * Resolves everyone's ranked choices into starting pairs and a play order. The assignment chosen is the one
+ * that leaves the least satisfied player as well off as possible, then satisfies players most overall, then
+ * hands out the most desirable pairs. The player who receives the least desirable pair goes first.
+ *
+ * @export
+ * @param {Object<string, number[]>} rankings - Each player's ranking, keyed by playerID
+ * @param {string[]} playerIDs - Players in their current seating order, used to break ties in play order
+ * @returns {{assignments: Object<string, number>, playOrder: string[]}|null} pair index for each player and
+ *   the new play order, or null if there aren't enough separate pairs for everyone
+ */
+export function resolveStartingDraft(rankings, playerIDs) {
+  const desirability = STARTING_CITY_PAIRS.map(pair => pair.desirability);
+  let best = null;
+
+  possibleAssignments(playerIDs.length).forEach(assignment => {
+    const scores = playerIDs.map((playerID, i) => satisfaction(rankings[playerID] ?? [], assignment[i]));
+    const candidate = {
+      assignment,
+      scores,
+      key: [
+        Math.min(...scores),
+        scores.reduce((sum, score) => sum + score, 0),
+        assignment.reduce((sum, index) => sum + desirability[index], 0),
+      ],
+    };
+    if (!best || isBetter(candidate.key, best.key)) {
+      best = candidate;
+    }
+  });
+
+  if (!best) {
+    return null;
+  }
+
+  const assignments = Object.fromEntries(playerIDs.map((playerID, i) => [playerID, best.assignment[i]]));
+  const playOrder = playerIDs
+    .map((playerID, i) => ({ playerID, seat: i, desirability: desirability[best.assignment[i]], score: best.scores[i] }))
+    .sort((a, b) => a.desirability - b.desirability || a.score - b.score || a.seat - b.seat)
+    .map(({ playerID }) => playerID);
+
+  return { assignments, playOrder };
+}
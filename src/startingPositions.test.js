@@ -0,0 +1,75 @@
+import { STARTING_CITY_PAIRS, startingRankingError, sealRanking, unsealRanking, pairDesirability, resolveStartingDraft, startingAdjustment } from './startingPositions';
+
+// Indexes into STARTING_CITY_PAIRS
+const QUEBEC = 0, BOSTON = 1, NEW_YORK = 2, WASHINGTON = 3, RALEIGH = 4, CHARLESTON = 5;
+
+const G = { contracts: [], players: [] };
+
+describe('STARTING_CITY_PAIRS', () => {
+  test('scores each pair\'s desirability with the starting position model', () => {
+    STARTING_CITY_PAIRS.forEach((pair, index) => {
+      expect(pair.desirability).toBe(pairDesirability(G, index).score);
+    });
+  });
+});
+
+describe('startingRankingError', () => {
+  test('accepts three different pairs', () => {
+    expect(startingRankingError([NEW_YORK, BOSTON, RALEIGH])).toBeNull();
+  });
+
+  test('rejects short, repeated or unknown rankings', () => {
+    expect(startingRankingError([NEW_YORK, BOSTON])).not.toBeNull();
+    expect(startingRankingError([NEW_YORK, NEW_YORK, BOSTON])).not.toBeNull();
+    expect(startingRankingError([NEW_YORK, BOSTON, STARTING_CITY_PAIRS.length])).not.toBeNull();
+  });
+});
+
+describe('sealRanking', () => {
+  test('hides a ranking until it is unsealed', () => {
+    const sealed = sealRanking([NEW_YORK, BOSTON, RALEIGH]);
+    expect(sealed).not.toContain(`${NEW_YORK},${BOSTON},${RALEIGH}`);
+    expect(sealRanking([NEW_YORK, BOSTON, RALEIGH])).not.toBe(sealed);
+    expect(unsealRanking(sealed)).toEqual([NEW_YORK, BOSTON, RALEIGH]);
+  });
+});
+
+describe('resolveStartingDraft', () => {
+  test('gives everyone their first choice when they differ', () => {
+    const { assignments } = resolveStartingDraft(
+      { '0': [NEW_YORK, BOSTON, RALEIGH], '1': [RALEIGH, BOSTON, QUEBEC], '2': [QUEBEC, CHARLESTON, BOSTON] },
+      ['0', '1', '2']
+    );
+    expect(assignments).toEqual({ '0': NEW_YORK, '1': RALEIGH, '2': QUEBEC });
+  });
+
+  test('never hands out two pairs that share a city', () => {
+    const { assignments } = resolveStartingDraft(
+      { '0': [NEW_YORK, WASHINGTON, BOSTON], '1': [WASHINGTON, NEW_YORK, BOSTON] },
+      ['0', '1']
+    );
+    const cities = Object.values(assignments).flatMap(index => STARTING_CITY_PAIRS[index].cities);
+    expect(new Set(cities).size).toBe(cities.length);
+  });
+
+  test('puts the player with the least desirable pair first', () => {
+    const { playOrder } = resolveStartingDraft(
+      { '0': [NEW_YORK, BOSTON, RALEIGH], '1': [CHARLESTON, BOSTON, QUEBEC] },
+      ['0', '1']
+    );
+    expect(playOrder).toEqual(['1', '0']);
+  });
+});
+
+describe('startingAdjustment', () => {
+  test('gives nothing to the player with the best pair in the game', () => {
+    expect(startingAdjustment(G, NEW_YORK, [NEW_YORK, BOSTON])).toEqual({ cash: 0, reason: null });
+  });
+
+  test('compensates a weaker pair and says why', () => {
+    const { cash, reason } = startingAdjustment(G, BOSTON, [NEW_YORK, BOSTON]);
+    expect(cash).toBeGreaterThan(0);
+    expect(cash % 1000).toBe(0);
+    expect(reason).toMatch(/Philadelphia & New York/);
+  });
+});
@@ -5,6 +5,7 @@
 
 import { useGameStore } from './gameStore';
 import { executeTurnOnEnd } from './phaseConfig';
+import { nextRoundPlayOrder } from '../playOrder';
 import { getCurrentGameCode, saveGameState } from '../utils/gameManager';
 
 /**
@@ -17,6 +18,9 @@ import { getCurrentGameCode, saveGameState } from '../utils/gameManager';
  * - Advances ctx.currentPlayer to next player
  * - Updates ctx.playOrderPos
  * - Increments ctx.turn when wrapping to player 0 (completing a full round)
+ * - At the end of a round, rotates ctx.playOrder so whoever claimed G.nextRoundFirstPlayer goes first,
+ *   and clears the claim
+ * - Clears G.turnActions so the next player starts with both actions
  * 
  * @returns {void}
  */
@@ -32,10 +36,14 @@ export function endTurn() {
 
   // Calculate next player position
   const nextPlayOrderPos = (ctx.playOrderPos + 1) % ctx.playOrder.length;
-  const nextPlayer = ctx.playOrder[nextPlayOrderPos];
+  const isRoundEnd = nextPlayOrderPos === 0;
+
+  // A new round starts with whoever claimed first position, if anyone did
+  const nextPlayOrder = isRoundEnd ? nextRoundPlayOrder(G, ctx.playOrder) : ctx.playOrder;
+  const nextPlayer = nextPlayOrder[nextPlayOrderPos];
 
   // Increment turn when wrapping to player 0 (completing a full round)
-  const nextTurn = nextPlayOrderPos === 0 ? ctx.turn + 1 : ctx.turn;
+  const nextTurn = isRoundEnd ? ctx.turn + 1 : ctx.turn;
 
   // Update state immutably
   // Note: If turn.onEnd hook mutated G (e.g., growIndependentRailroads), we need to update G as well
@@ -44,10 +52,13 @@ export function endTurn() {
     G: {
       ...currentState.G,
       // Ensure independentRailroads is a new object reference if it was mutated
-      independentRailroads: { ...currentState.G.independentRailroads }
+      independentRailroads: { ...currentState.G.independentRailroads },
+      turnActions: [],
+      nextRoundFirstPlayer: isRoundEnd ? null : (currentState.G.nextRoundFirstPlayer ?? null)
     },
     ctx: {
       ...ctx,
+      playOrder: nextPlayOrder,
       currentPlayer: nextPlayer,
       playOrderPos: nextPlayOrderPos,
       turn: nextTurn
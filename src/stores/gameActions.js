@@ -11,13 +11,27 @@ import { isMoveAllowed, isMoveAllowedForPlayer } from './moveValidation';
 import { 
   generateStartingContract as generateStartingContractContract,
   generatePrivateContract as generatePrivateContractContract,
+  generatePrivateContractOffer,
   generateMarketContract as generateMarketContractContract,
-  newContract
+  newContract,
+  railroadTieValue,
+  westCoastBonus
 } from '../Contract';
 import { endTurn as endTurnEvent } from './events';
 import { checkPhaseTransition } from './phaseManager';
-import { routes, cities } from '../data';
+import { cities, engines, upgrades } from '../data';
 import { getCurrentGameCode, saveGameState } from '../utils/gameManager';
+import { borrowingError, repaymentError, contractSettlement, sectionOfCity } from '../finance';
+import { turnActionError } from '../turnActions';
+import { awardMonopolies } from '../monopolies';
+import { fleetOf, enginePrice, enginePurchaseError, marketClaimError } from '../engines';
+import { upgradePurchaseError, privateContractOfferSize } from '../upgrades';
+import { buildTrackError, trackBuildCost } from '../trackCost';
+import { connectionBonusClaimError } from '../connectionBonuses';
+import { firstPlayerClaimError } from '../playOrder';
+import { trackSaleError, sellTrack, bidError, passError, recordAuctionAction } from '../bankruptcy';
+import { STARTING_CITY_PAIRS, startingRankingError, sealRanking, unsealRanking, resolveStartingDraft, startingAdjustment } from '../startingPositions';
+import { independentRailroadPrice, acquisitionError, citiesOfRailroad } from '../independentRailroads';
 
 /**
  * Helper function to save game state to storage after moves
@@ -33,6 +47,18 @@ function saveCurrentGameState() {
   }
 }
 
+/**
+ * Builds an entry for G.history
+ *
+ * @param {Object} ctx - Game context at the time of the move
+ * @param {string} type - What happened, usually the name of the move
+ * @param {Object} details - Anything else worth recording
+ * @returns {Object}
+ */
+function historyEntry(ctx, type, details) {
+  return { type, turn: ctx.turn, playerID: ctx.currentPlayer, ...details };
+}
+
 /**
  * Generate a starting contract for a player during the setup phase.
  * 
@@ -45,7 +71,7 @@ export function generateStartingContract(activeCities, playerID) {
   // Validate move is allowed in current phase
   const moveAllowed = playerID
     ? isMoveAllowedForPlayer('generateStartingContract', playerID, ctx)
-    : isMoveAllowed('generateStartingContract', ctx);
+    : isMoveAllowed('generateStartingContract', ctx, G);
   if (!moveAllowed) {
     console.warn('[generateStartingContract] Move not allowed in current phase');
     return;
@@ -91,6 +117,115 @@ export function generateStartingContract(activeCities, playerID) {
   endTurnEvent();
 }
 
+/**
+ * Submit a player's secret ranking of starting city pairs during the setup phase. Once every player has
+ * submitted, the draft is resolved: each player gets a starting pair, a starting contract and extra starting
+ * cash if their pair is weaker than the best one, and the play order changes so the player with the least
+ * desirable pair goes first.
+ * 
+ * @param {number[]} ranking - Indexes into STARTING_CITY_PAIRS, favorite first
+ * @param {string} [playerID] - Player submitting (BYOD); defaults to the current player
+ * @returns {void}
+ */
+export function submitStartingRanking(ranking, playerID) {
+  // Get current state from store
+  const { G, ctx } = useGameStore.getState();
+
+  // Validate move is allowed in current phase. Everyone ranks at once, so this isn't limited to the current player.
+  if (!isMoveAllowed('submitStartingRanking', ctx, G)) {
+    console.warn('[submitStartingRanking] Move not allowed in current phase');
+    return;
+  }
+
+  const submitter = playerID ?? ctx.currentPlayer;
+  if (!G.players.some(([id]) => id === submitter)) {
+    console.error(`[submitStartingRanking] Player "${submitter}" not found`);
+    return;
+  }
+
+  const error = startingRankingError(ranking);
+  if (error) {
+    console.error(`[submitStartingRanking] ${error}`);
+    return;
+  }
+
+  if (G.startingRankings?.[submitter]) {
+    console.warn(`[submitStartingRanking] Player "${submitter}" has already submitted their ranking`);
+    return;
+  }
+
+  // Rankings stay sealed until everyone has ranked; only then are they read to resolve the draft
+  const sealedRankings = { ...(G.startingRankings ?? {}), [submitter]: sealRanking(ranking) };
+  const playerIDs = G.players.map(([id]) => id);
+  const allRanked = playerIDs.every(id => sealedRankings[id]);
+  const rankings = allRanked
+    ? Object.fromEntries(Object.entries(sealedRankings).map(([id, sealed]) => [id, unsealRanking(sealed)]))
+    : null;
+  const draft = allRanked ? resolveStartingDraft(rankings, playerIDs) : null;
+
+  if (!draft) {
+    if (allRanked) {
+      console.error('[submitStartingRanking] Not enough separate starting pairs for every player');
+    }
+
+    // Update state immutably
+    useGameStore.setState((state) => ({
+      G: {
+        ...state.G,
+        startingRankings: sealedRankings
+      }
+    }));
+
+    // Save state to localStorage
+    saveCurrentGameState();
+
+    // In hotseat games, hand the device to the next player to rank in secret
+    // Note: endTurnEvent() saves state internally
+    if (submitter === ctx.currentPlayer) {
+      endTurnEvent();
+    }
+    return;
+  }
+
+  // Give each player their starting pair and any cash to make up for a weaker pair, then a starting contract
+  const assignedPairs = Object.values(draft.assignments);
+  const players = G.players.map(([id, props]) => {
+    const adjustment = startingAdjustment(G, draft.assignments[id], assignedPairs);
+    return [id, {
+      ...props,
+      activeCities: [...STARTING_CITY_PAIRS[draft.assignments[id]].cities],
+      cash: (props.cash ?? 0) + adjustment.cash,
+      startingAdjustment: adjustment,
+    }];
+  });
+  const startingContracts = players
+    .map(([id, props]) => generateStartingContractContract({ ...G, players }, props.activeCities, id))
+    .filter(Boolean);
+
+  // Update state immutably
+  useGameStore.setState((state) => ({
+    G: {
+      ...state.G,
+      startingRankings: rankings,
+      contracts: [...startingContracts, ...state.G.contracts],
+      players
+    },
+    ctx: {
+      ...state.ctx,
+      playOrder: draft.playOrder,
+      playOrderPos: 0,
+      currentPlayer: draft.playOrder[0]
+    }
+  }));
+
+  // Check for phase transition after state update
+  const updatedState = useGameStore.getState();
+  checkPhaseTransition(updatedState.G, updatedState.ctx);
+
+  // Save state to localStorage (after potential phase transition)
+  saveCurrentGameState();
+}
+
 /**
  * Generate a private contract for the current player.
  * 
@@ -101,7 +236,7 @@ export function generatePrivateContract() {
   const { G, ctx } = useGameStore.getState();
 
   // Validate move is allowed in current phase
-  if (!isMoveAllowed('generatePrivateContract', ctx)) {
+  if (!isMoveAllowed('generatePrivateContract', ctx, G)) {
     console.warn('[generatePrivateContract] Move not allowed in current phase');
     return;
   }
@@ -127,6 +262,176 @@ export function generatePrivateContract() {
   saveCurrentGameState();
 }
 
+/**
+ * Offer the current player a choice of private contracts. The offer waits on the player until they keep one
+ * with chooseOfferedContract. Players with a Hub are offered one more.
+ * 
+ * @returns {void}
+ */
+export function offerPrivateContracts() {
+  // Get current state from store
+  const { G, ctx } = useGameStore.getState();
+
+  // Validate move is allowed in current phase
+  if (!isMoveAllowed('offerPrivateContracts', ctx, G)) {
+    console.warn('[offerPrivateContracts] Move not allowed in current phase');
+    return;
+  }
+
+  const player = G.players.find(([id]) => id === ctx.currentPlayer);
+  if (player?.[1].pendingOffer) {
+    console.warn('[offerPrivateContracts] Choose from the contracts already offered first');
+    return;
+  }
+
+  const offer = generatePrivateContractOffer(G, ctx, privateContractOfferSize(G, ctx.currentPlayer));
+  if (offer.length === 0) {
+    console.error('[offerPrivateContracts] Contract generation failed');
+    return;
+  }
+
+  // Update state immutably
+  useGameStore.setState((state) => ({
+    G: {
+      ...state.G,
+      players: state.G.players.map(([id, props]) =>
+        id === ctx.currentPlayer
+          ? [id, { ...props, pendingOffer: offer }]
+          : [id, props]
+      )
+    }
+  }));
+
+  // Save state to localStorage
+  saveCurrentGameState();
+}
+
+/**
+ * Keep one of the private contracts offered to the current player and discard the rest.
+ * 
+ * @param {string} contractID - ID of the offered contract to keep
+ * @returns {void}
+ */
+export function chooseOfferedContract(contractID) {
+  // Get current state from store
+  const { G, ctx } = useGameStore.getState();
+
+  // Validate move is allowed in current phase
+  if (!isMoveAllowed('chooseOfferedContract', ctx, G)) {
+    console.warn('[chooseOfferedContract] Move not allowed in current phase');
+    return;
+  }
+
+  const offer = G.players.find(([id]) => id === ctx.currentPlayer)?.[1].pendingOffer;
+  if (!offer) {
+    console.error('[chooseOfferedContract] No contracts have been offered');
+    return;
+  }
+
+  const contract = offer.find(c => c.id === contractID);
+  if (!contract) {
+    console.error(`[chooseOfferedContract] Contract "${contractID}" was not offered`);
+    return;
+  }
+
+  // Update state immutably
+  useGameStore.setState((state) => ({
+    G: {
+      ...state.G,
+      // Add contract to beginning of contracts array
+      contracts: [contract, ...state.G.contracts],
+      players: state.G.players.map(([id, props]) =>
+        id === ctx.currentPlayer
+          ? [id, { ...props, pendingOffer: null }]
+          : [id, props]
+      ),
+      history: [
+        ...(state.G.history ?? []),
+        historyEntry(ctx, 'chooseOfferedContract', {
+          offered: offer.map(({ id, destinationKey, commodity }) => ({ id, destinationKey, commodity })),
+          chosen: contract.id,
+        }),
+      ]
+    }
+  }));
+
+  // Check for phase transition after state update
+  const updatedState = useGameStore.getState();
+  checkPhaseTransition(updatedState.G, updatedState.ctx);
+
+  // Save state to localStorage
+  saveCurrentGameState();
+}
+
+/**
+ * Discard one of the current player's private contracts and offer them new ones to choose from. This is the
+ * "Discard and draw a new Private Contract" turn action, so it counts as one of the player's two actions.
+ * 
+ * @param {string} contractID - ID of the private contract to discard
+ * @returns {void}
+ */
+export function discardPrivateContract(contractID) {
+  // Get current state from store
+  const { G, ctx } = useGameStore.getState();
+
+  // Validate move is allowed in current phase
+  if (!isMoveAllowed('discardPrivateContract', ctx, G)) {
+    console.warn('[discardPrivateContract] Move not allowed in current phase');
+    return;
+  }
+
+  const contract = G.contracts.find(c => c.id === contractID);
+  if (!contract || contract.type !== 'private' || contract.playerID !== ctx.currentPlayer || contract.fulfilled) {
+    console.error(`[discardPrivateContract] "${contractID}" is not an unfulfilled private contract of the current player`);
+    return;
+  }
+
+  const error = turnActionError(G, 'discardPrivateContract');
+  if (error) {
+    console.warn(`[discardPrivateContract] ${error}`);
+    return;
+  }
+
+  const player = G.players.find(([id]) => id === ctx.currentPlayer);
+  if (player?.[1].pendingOffer) {
+    console.warn('[discardPrivateContract] Choose from the contracts already offered first');
+    return;
+  }
+
+  const offer = generatePrivateContractOffer(G, ctx, privateContractOfferSize(G, ctx.currentPlayer));
+  if (offer.length === 0) {
+    console.error('[discardPrivateContract] Contract generation failed');
+    return;
+  }
+
+  // Update state immutably
+  useGameStore.setState((state) => ({
+    G: {
+      ...state.G,
+      contracts: state.G.contracts.filter(c => c.id !== contractID),
+      players: state.G.players.map(([id, props]) =>
+        id === ctx.currentPlayer
+          ? [id, { ...props, pendingOffer: offer }]
+          : [id, props]
+      ),
+      turnActions: [...(state.G.turnActions ?? []), 'discardPrivateContract'],
+      history: [
+        ...(state.G.history ?? []),
+        historyEntry(ctx, 'discardPrivateContract', {
+          discarded: { id: contract.id, destinationKey: contract.destinationKey, commodity: contract.commodity },
+        }),
+      ]
+    }
+  }));
+
+  // Check for phase transition after state update
+  const updatedState = useGameStore.getState();
+  checkPhaseTransition(updatedState.G, updatedState.ctx);
+
+  // Save state to localStorage
+  saveCurrentGameState();
+}
+
 /**
  * Generate a market contract (available to all players).
  * 
@@ -137,7 +442,7 @@ export function generateMarketContract() {
   const { G, ctx } = useGameStore.getState();
 
   // Validate move is allowed in current phase
-  if (!isMoveAllowed('generateMarketContract', ctx)) {
+  if (!isMoveAllowed('generateMarketContract', ctx, G)) {
     console.warn('[generateMarketContract] Move not allowed in current phase');
     return;
   }
@@ -177,10 +482,10 @@ export function generateMarketContract() {
  */
 export function addManualContract(commodity, destinationKey, type) {
   // Get current state from store
-  const { ctx } = useGameStore.getState();
+  const { G, ctx } = useGameStore.getState();
 
   // Validate move is allowed in current phase
-  if (!isMoveAllowed('addManualContract', ctx)) {
+  if (!isMoveAllowed('addManualContract', ctx, G)) {
     console.warn('[addManualContract] Move not allowed in current phase');
     return;
   }
@@ -241,7 +546,7 @@ export function toggleContractFulfilled(contractID) {
   const { G, ctx } = useGameStore.getState();
 
   // Validate move is allowed in current phase
-  if (!isMoveAllowed('toggleContractFulfilled', ctx)) {
+  if (!isMoveAllowed('toggleContractFulfilled', ctx, G)) {
     console.warn('[toggleContractFulfilled] Move not allowed in current phase');
     return;
   }
@@ -273,13 +578,46 @@ export function toggleContractFulfilled(contractID) {
     return;
   }
 
+  // Only players with a Mogul or better can claim a market contract
+  if (contract.type === 'market' && !contract.fulfilled) {
+    const currentPlayerProps = G.players.find(([id]) => id === ctx.currentPlayer)?.[1] ?? {};
+    const claimError = marketClaimError(currentPlayerProps);
+    if (claimError) {
+      console.warn(`[toggleContractFulfilled] Player ${ctx.currentPlayer} cannot claim market contract "${contractID}": ${claimError}`);
+      return;
+    }
+  }
+
   // Update state immutably
   useGameStore.setState((state) => {
-    // Create updated contract with toggled fulfilled status
+    // Get current player's data
+    const currentPlayerEntry = state.G.players.find(([id]) => id === ctx.currentPlayer);
+    if (!currentPlayerEntry) {
+      console.error(`[toggleContractFulfilled] Current player "${ctx.currentPlayer}" not found`);
+      return state; // Return unchanged state on error
+    }
+
+    const [, playerProps] = currentPlayerEntry;
+
+    // Create updated contract with toggled fulfilled status. Fulfilling settles payment and debt service
+    // and records the result on the contract so that un-fulfilling it can reverse exactly that amount.
     const updatedContract = {
       ...contract,
       fulfilled: !contract.fulfilled
     };
+    let settlement = contract.settlement;
+    if (updatedContract.fulfilled) {
+      settlement = contractSettlement(playerProps, updatedContract);
+      // A player who goes bankrupt fulfilling a contract earns no railroad ties for it
+      const westCoastTies = settlement.shortfall > 0 ? 0 : westCoastBonus(state.G, ctx.currentPlayer, updatedContract);
+      settlement.westCoastBonus = westCoastTies;
+      settlement.railroadTies = settlement.shortfall > 0 ? 0 : railroadTieValue(updatedContract) + westCoastTies;
+    }
+    if (updatedContract.fulfilled) {
+      updatedContract.settlement = settlement;
+    } else {
+      delete updatedContract.settlement;
+    }
 
     // Handle market contract playerID assignment
     if (updatedContract.fulfilled && updatedContract.type === 'market') {
@@ -293,14 +631,6 @@ export function toggleContractFulfilled(contractID) {
       idx === contractIndex ? updatedContract : c
     );
 
-    // Get current player's data
-    const currentPlayerEntry = state.G.players.find(([id]) => id === ctx.currentPlayer);
-    if (!currentPlayerEntry) {
-      console.error(`[toggleContractFulfilled] Current player "${ctx.currentPlayer}" not found`);
-      return state; // Return unchanged state on error
-    }
-
-    const [, playerProps] = currentPlayerEntry;
     let updatedActiveCities = [...playerProps.activeCities];
 
     if (updatedContract.fulfilled) {
@@ -325,18 +655,42 @@ export function toggleContractFulfilled(contractID) {
       }
     }
 
-    // Update players array with modified active cities
+    // Apply (or reverse) the payment, railroad ties, any shortfall that means bankruptcy, and region milestones
+    const updatedPlayerProps = { ...playerProps, activeCities: updatedActiveCities };
+    if (settlement) {
+      const sign = updatedContract.fulfilled ? 1 : -1;
+      updatedPlayerProps.cash = (playerProps.cash ?? 0) + sign * settlement.cashChange;
+      // Bankruptcy clears the shortfall, so un-fulfilling the contract that caused it must not take it below zero
+      updatedPlayerProps.shortfall = Math.max(0, (playerProps.shortfall ?? 0) + sign * settlement.shortfall);
+      updatedPlayerProps.railroadTies = (playerProps.railroadTies ?? 0) + sign * (settlement.railroadTies ?? 0);
+      if (updatedContract.fulfilled && settlement.shortfall > 0) {
+        console.warn(`[toggleContractFulfilled] Player ${ctx.currentPlayer} is $${settlement.shortfall.toLocaleString()} short on debt service and is bankrupt`);
+      }
+    }
+
+    // A section stays reached only while one of the player's fulfilled contracts is delivered there
+    const fulfilledSections = updatedContracts
+      .filter(c => c.playerID === ctx.currentPlayer && c.fulfilled)
+      .map(c => sectionOfCity(c.destinationKey));
+    updatedPlayerProps.reachedCentral = fulfilledSections.includes("Central");
+    updatedPlayerProps.reachedWestern = fulfilledSections.includes("Western");
+
+    // Update players array with modified player data
     const updatedPlayers = state.G.players.map(([id, props]) =>
       id === ctx.currentPlayer
-        ? [id, { ...props, activeCities: updatedActiveCities }]
+        ? [id, updatedPlayerProps]
         : [id, props]
     );
 
+    // A new connection may complete a monopoly
+    const updatedMonopolies = awardMonopolies({ ...state.G, players: updatedPlayers });
+
     return {
       G: {
         ...state.G,
         contracts: updatedContracts,
-        players: updatedPlayers
+        players: updatedPlayers,
+        monopolies: updatedMonopolies
       }
     };
   });
@@ -360,7 +714,7 @@ export function deleteContract(contractID) {
   const { G, ctx } = useGameStore.getState();
 
   // Validate move is allowed in current phase
-  if (!isMoveAllowed('deleteContract', ctx)) {
+  if (!isMoveAllowed('deleteContract', ctx, G)) {
     console.warn('[deleteContract] Move not allowed in current phase');
     return;
   }
@@ -403,17 +757,21 @@ export function deleteContract(contractID) {
 }
 
 /**
- * Acquire an independent railroad for the current player.
+ * Acquire an independent railroad for the current player, paying its price (see independentRailroadPrice).
+ * The price paid is recorded in G.history. Counts as one of the turn's two actions.
+ * 
+ * The railroad must touch the player's network. Its routes are added to the player's track.
  * 
  * @param {string} railroadName - Name of the independent railroad to acquire
+ * @param {boolean} [ignoreConnection=false] - Playtest override: allow a railroad that isn't connected
  * @returns {void}
  */
-export function acquireIndependentRailroad(railroadName) {
+export function acquireIndependentRailroad(railroadName, ignoreConnection = false) {
   // Get current state from store
   const { G, ctx } = useGameStore.getState();
 
   // Validate move is allowed in current phase
-  if (!isMoveAllowed('acquireIndependentRailroad', ctx)) {
+  if (!isMoveAllowed('acquireIndependentRailroad', ctx, G)) {
     console.warn('[acquireIndependentRailroad] Move not allowed in current phase');
     return;
   }
@@ -424,21 +782,27 @@ export function acquireIndependentRailroad(railroadName) {
     return;
   }
 
-  // Validate railroad exists
+  // Validate railroad exists and the player can pay for it
   const railroad = G.independentRailroads[railroadName];
   if (!railroad) {
     console.error(`[acquireIndependentRailroad] Railroad "${railroadName}" not found`);
     return;
   }
 
+  const actionError = turnActionError(G, 'acquireIndependentRailroad');
+  if (actionError) {
+    console.warn(`[acquireIndependentRailroad] ${actionError}`);
+    return;
+  }
+  const error = acquisitionError(G, ctx.currentPlayer, railroadName, ignoreConnection);
+  if (error) {
+    console.warn(`[acquireIndependentRailroad] ${error}`);
+    return;
+  }
+  const price = independentRailroadPrice(G, railroad);
+
   // Get all the cities in this railroad from its routes
-  const citiesInRailroad = new Set();
-  railroad.routes.forEach(routeKey => {
-    const route = routes.get(routeKey);
-    if (route && route.cities) {
-      route.cities.forEach(city => citiesInRailroad.add(city));
-    }
-  });
+  const citiesInRailroad = citiesOfRailroad(railroad);
 
   // Update state immutably
   useGameStore.setState((state) => {
@@ -458,10 +822,24 @@ export function acquireIndependentRailroad(railroadName) {
       ...citiesInRailroad
     ]));
 
-    // Update players array with modified active cities
+    // The railroad's routes become the player's track
+    const ownRoutes = new Set((playerProps.track ?? []).map(({ routeKey }) => routeKey));
+    const acquiredTrack = railroad.routes
+      .filter(routeKey => !ownRoutes.has(routeKey))
+      .map(routeKey => ({ routeKey, parallel: false }));
+
+    // Pay for the railroad
+    const updatedPlayerProps = {
+      ...playerProps,
+      activeCities: updatedActiveCities,
+      track: [...(playerProps.track ?? []), ...acquiredTrack],
+      cash: (playerProps.cash ?? 0) - price,
+    };
+
+    // Update players array with modified player data
     const updatedPlayers = state.G.players.map(([id, props]) =>
       id === ctx.currentPlayer
-        ? [id, { ...props, activeCities: updatedActiveCities }]
+        ? [id, updatedPlayerProps]
         : [id, props]
     );
 
@@ -472,7 +850,12 @@ export function acquireIndependentRailroad(railroadName) {
       G: {
         ...state.G,
         players: updatedPlayers,
-        independentRailroads: restRailroads
+        independentRailroads: restRailroads,
+        turnActions: [...(state.G.turnActions ?? []), 'acquireIndependentRailroad'],
+        history: [
+          ...(state.G.history ?? []),
+          historyEntry(ctx, 'acquireIndependentRailroad', { railroad: railroadName, routes: [...railroad.routes], price }),
+        ]
       }
     };
   });
@@ -496,7 +879,7 @@ export function addCityToPlayer(cityKey) {
   const { G, ctx } = useGameStore.getState();
 
   // Validate move is allowed in current phase
-  if (!isMoveAllowed('addCityToPlayer', ctx)) {
+  if (!isMoveAllowed('addCityToPlayer', ctx, G)) {
     console.warn('[addCityToPlayer] Move not allowed in current phase');
     return;
   }
@@ -553,16 +936,590 @@ export function addCityToPlayer(cityKey) {
 }
 
 /**
- * End the current player's turn.
+ * Build track for the current player: up to two segments (three with an Employment Office), paid for at
+ * their itemized cost (see trackCost.js). Each route must touch the player's network or a segment built
+ * before it; a segment beside another player's track is parallel. Counts as one of the turn's actions. The
+ * segments and what they cost are recorded in G.history.
  * 
+ * @param {string[]} routeKeys - Keys of the routes to build on, in order (see data/routes.js)
  * @returns {void}
  */
-export function endTurn() {
+export function buildTrack(routeKeys) {
+  // Get current state from store
+  const { G, ctx } = useGameStore.getState();
+
+  // Validate move is allowed in current phase
+  if (!isMoveAllowed('buildTrack', ctx, G)) {
+    console.warn('[buildTrack] Move not allowed in current phase');
+    return;
+  }
+
+  // Validate routeKeys parameter
+  if (!Array.isArray(routeKeys) || !routeKeys.every(routeKey => typeof routeKey === 'string' && routeKey)) {
+    console.error('[buildTrack] routeKeys must be an array of non-empty strings');
+    return;
+  }
+
+  // Validate the track can be built and paid for this turn
+  const actionError = turnActionError(G, 'buildTrack');
+  if (actionError) {
+    console.warn(`[buildTrack] ${actionError}`);
+    return;
+  }
+  const error = buildTrackError(G, ctx.currentPlayer, routeKeys);
+  if (error) {
+    console.warn(`[buildTrack] Cannot build track: ${error}`);
+    return;
+  }
+  const { segments, total } = trackBuildCost(G, ctx.currentPlayer, routeKeys);
+
+  // Update state immutably
+  useGameStore.setState((state) => {
+    const updatedPlayers = state.G.players.map(([id, props]) =>
+      id === ctx.currentPlayer
+        ? [id, {
+            ...props,
+            cash: (props.cash ?? 0) - total,
+            track: [...(props.track ?? []), ...segments.map(({ routeKey, parallel }) => ({ routeKey, parallel }))]
+          }]
+        : [id, props]
+    );
+
+    return {
+      G: {
+        ...state.G,
+        players: updatedPlayers,
+        turnActions: [...(state.G.turnActions ?? []), 'buildTrack'],
+        history: [
+          ...(state.G.history ?? []),
+          historyEntry(ctx, 'buildTrack', {
+            segments: segments.map(({ routeKey, parallel, cost }) => ({ routeKey, parallel, cost })),
+            total,
+          }),
+        ]
+      }
+    };
+  });
+
+  // Check for phase transition after state update
+  const updatedState = useGameStore.getState();
+  checkPhaseTransition(updatedState.G, updatedState.ctx);
+
+  // Save state to localStorage
+  saveCurrentGameState();
+}
+
+/**
+ * Claim a connection bonus for the current player once their track makes the connection, awarding its
+ * railroad ties. Each bonus can only be claimed once. The claim is recorded in G.history.
+ * 
+ * @param {string} bonusID - ID of a bonus in G.connectionBonuses
+ * @returns {void}
+ */
+export function claimConnectionBonus(bonusID) {
   // Get current state from store
-  const { ctx } = useGameStore.getState();
+  const { G, ctx } = useGameStore.getState();
+
+  // Validate move is allowed in current phase
+  if (!isMoveAllowed('claimConnectionBonus', ctx, G)) {
+    console.warn('[claimConnectionBonus] Move not allowed in current phase');
+    return;
+  }
+
+  // Validate the bonus can be claimed
+  const error = connectionBonusClaimError(G, ctx.currentPlayer, bonusID);
+  if (error) {
+    console.warn(`[claimConnectionBonus] Cannot claim bonus: ${error}`);
+    return;
+  }
+  const bonus = G.connectionBonuses.find(b => b.id === bonusID);
+
+  // Update state immutably
+  useGameStore.setState((state) => {
+    const updatedPlayers = state.G.players.map(([id, props]) =>
+      id === ctx.currentPlayer
+        ? [id, { ...props, railroadTies: (props.railroadTies ?? 0) + bonus.ties }]
+        : [id, props]
+    );
+
+    return {
+      G: {
+        ...state.G,
+        players: updatedPlayers,
+        connectionBonuses: state.G.connectionBonuses.map(b =>
+          b.id === bonusID ? { ...b, claimedBy: ctx.currentPlayer } : b
+        ),
+        history: [
+          ...(state.G.history ?? []),
+          historyEntry(ctx, 'claimConnectionBonus', { bonus: bonusID, ties: bonus.ties }),
+        ]
+      }
+    };
+  });
+
+  // Check for phase transition after state update (the ties may end the game)
+  const updatedState = useGameStore.getState();
+  checkPhaseTransition(updatedState.G, updatedState.ctx);
+
+  // Save state to localStorage
+  saveCurrentGameState();
+}
+
+/**
+ * Take the "Go first next round" action for the current player: they lead off next round, and play order
+ * is rotated to start with them when the round ends (see events.js). Only one player may take it each
+ * round. Counts as one of the turn's two actions, and the claim is recorded in G.history.
+ * 
+ * @returns {void}
+ */
+export function claimFirstPlayer() {
+  // Get current state from store
+  const { G, ctx } = useGameStore.getState();
+
+  // Validate move is allowed in current phase
+  if (!isMoveAllowed('claimFirstPlayer', ctx, G)) {
+    console.warn('[claimFirstPlayer] Move not allowed in current phase');
+    return;
+  }
+
+  // Validate the action can be taken and nobody has claimed first position yet
+  const actionError = turnActionError(G, 'claimFirstPlayer');
+  if (actionError) {
+    console.warn(`[claimFirstPlayer] ${actionError}`);
+    return;
+  }
+  const error = firstPlayerClaimError(G, ctx.currentPlayer);
+  if (error) {
+    console.warn(`[claimFirstPlayer] Cannot go first next round: ${error}`);
+    return;
+  }
+
+  // Update state immutably
+  useGameStore.setState((state) => ({
+    G: {
+      ...state.G,
+      nextRoundFirstPlayer: ctx.currentPlayer,
+      turnActions: [...(state.G.turnActions ?? []), 'claimFirstPlayer'],
+      history: [
+        ...(state.G.history ?? []),
+        historyEntry(ctx, 'claimFirstPlayer', {}),
+      ]
+    }
+  }));
+
+  // Check for phase transition after state update
+  const updatedState = useGameStore.getState();
+  checkPhaseTransition(updatedState.G, updatedState.ctx);
+
+  // Save state to localStorage
+  saveCurrentGameState();
+}
+
+/**
+ * Borrow money for the current player. Adds the amount to both cash and debt. Counts as one of the turn's
+ * two actions, however much is borrowed.
+ * 
+ * @param {number} amount - Dollars to borrow, in $5,000 increments
+ * @returns {void}
+ */
+export function borrowMoney(amount) {
+  // Get current state from store
+  const { G, ctx } = useGameStore.getState();
+
+  // Validate move is allowed in current phase
+  if (!isMoveAllowed('borrowMoney', ctx, G)) {
+    console.warn('[borrowMoney] Move not allowed in current phase');
+    return;
+  }
+
+  // Validate this action can be taken and the amount
+  const actionError = turnActionError(G, 'borrowMoney');
+  if (actionError) {
+    console.warn(`[borrowMoney] ${actionError}`);
+    return;
+  }
+  const error = borrowingError(amount);
+  if (error) {
+    console.error(`[borrowMoney] Cannot borrow: ${error}`);
+    return;
+  }
+
+  // Validate current player exists
+  if (!G.players.some(([id]) => id === ctx.currentPlayer)) {
+    console.error(`[borrowMoney] Current player "${ctx.currentPlayer}" not found`);
+    return;
+  }
+
+  // Update state immutably
+  useGameStore.setState((state) => ({
+    G: {
+      ...state.G,
+      players: state.G.players.map(([id, props]) =>
+        id === ctx.currentPlayer
+          ? [id, { ...props, cash: (props.cash ?? 0) + amount, debt: (props.debt ?? 0) + amount }]
+          : [id, props]
+      ),
+      turnActions: [...(state.G.turnActions ?? []), 'borrowMoney']
+    }
+  }));
+
+  // Save state to localStorage
+  saveCurrentGameState();
+}
+
+/**
+ * Repay some of the current player's debt. Subtracts the amount from both cash and debt. Counts as one of
+ * the turn's two actions.
+ * 
+ * @param {number} amount - Dollars to repay ($5,000 or $10,000)
+ * @returns {void}
+ */
+export function repayDebt(amount) {
+  // Get current state from store
+  const { G, ctx } = useGameStore.getState();
+
+  // Validate move is allowed in current phase
+  if (!isMoveAllowed('repayDebt', ctx, G)) {
+    console.warn('[repayDebt] Move not allowed in current phase');
+    return;
+  }
+
+  // Get current player's data
+  const currentPlayerEntry = G.players.find(([id]) => id === ctx.currentPlayer);
+  if (!currentPlayerEntry) {
+    console.error(`[repayDebt] Current player "${ctx.currentPlayer}" not found`);
+    return;
+  }
+
+  // Validate this action can be taken and the amount against the player's cash and debt
+  const actionError = turnActionError(G, 'repayDebt');
+  if (actionError) {
+    console.warn(`[repayDebt] ${actionError}`);
+    return;
+  }
+  const error = repaymentError(currentPlayerEntry[1], amount);
+  if (error) {
+    console.warn(`[repayDebt] Cannot repay: ${error}`);
+    return;
+  }
+
+  // Update state immutably
+  useGameStore.setState((state) => ({
+    G: {
+      ...state.G,
+      players: state.G.players.map(([id, props]) =>
+        id === ctx.currentPlayer
+          ? [id, { ...props, cash: (props.cash ?? 0) - amount, debt: (props.debt ?? 0) - amount }]
+          : [id, props]
+      ),
+      turnActions: [...(state.G.turnActions ?? []), 'repayDebt']
+    }
+  }));
+
+  // Save state to localStorage
+  saveCurrentGameState();
+}
+
+/**
+ * Buy an engine for the current player. The engine can be at most one level above the player's best
+ * engine, and a player with a full fleet (or a John Bull) must give up an engine for it. A traded-in
+ * engine is worth half its price, rounded down to the nearest $1,000. Buying a Consolidation makes the
+ * Service Yard available to everyone. Counts as one of the turn's two actions.
+ * 
+ * @param {string} engineName - Engine to buy (key of the engines Map)
+ * @param {string|null} [replacedEngine=null] - Engine in the player's fleet to give up, if any
+ * @param {boolean} [tradeIn=true] - Whether to trade in the replaced engine for credit rather than discard it
+ * @returns {void}
+ */
+export function buyEngine(engineName, replacedEngine = null, tradeIn = true) {
+  // Get current state from store
+  const { G, ctx } = useGameStore.getState();
+
+  // Validate move is allowed in current phase
+  if (!isMoveAllowed('buyEngine', ctx, G)) {
+    console.warn('[buyEngine] Move not allowed in current phase');
+    return;
+  }
+
+  // Validate current player exists
+  const currentPlayerEntry = G.players.find(([id]) => id === ctx.currentPlayer);
+  if (!currentPlayerEntry) {
+    console.error(`[buyEngine] Current player "${ctx.currentPlayer}" not found`);
+    return;
+  }
+
+  // Validate this action can be taken and the purchase
+  const actionError = turnActionError(G, 'buyEngine');
+  if (actionError) {
+    console.warn(`[buyEngine] ${actionError}`);
+    return;
+  }
+  const error = enginePurchaseError(currentPlayerEntry[1], engineName, replacedEngine, tradeIn);
+  if (error) {
+    console.error(`[buyEngine] Cannot buy engine: ${error}`);
+    return;
+  }
+
+  const price = enginePrice(engineName, replacedEngine, tradeIn);
+
+  // Update state immutably
+  useGameStore.setState((state) => ({
+    G: {
+      ...state.G,
+      players: state.G.players.map(([id, props]) => {
+        if (id !== ctx.currentPlayer) return [id, props];
+
+        const fleet = [...fleetOf(props)];
+        if (replacedEngine) {
+          fleet.splice(fleet.indexOf(replacedEngine), 1);
+        }
+        return [id, { ...props, cash: (props.cash ?? 0) - price, engines: [...fleet, engineName] }];
+      }),
+      serviceYardUnlocked: state.G.serviceYardUnlocked || engines.get(engineName).unlocksServiceYard,
+      turnActions: [...(state.G.turnActions ?? []), 'buyEngine']
+    }
+  }));
+
+  // Save state to localStorage
+  saveCurrentGameState();
+}
+
+/**
+ * Buy an upgrade for the current player, checking its prerequisites and deducting its cost. A new
+ * Commodities Exchange Office may complete a monopoly. Counts as one of the turn's two actions.
+ * 
+ * @param {string} upgradeName - Upgrade to buy (key of the upgrades Map)
+ * @param {string|null} [option=null] - City, region or commodity, for upgrades that need one
+ * @returns {void}
+ */
+export function buyUpgrade(upgradeName, option = null) {
+  // Get current state from store
+  const { G, ctx } = useGameStore.getState();
+
+  // Validate move is allowed in current phase
+  if (!isMoveAllowed('buyUpgrade', ctx, G)) {
+    console.warn('[buyUpgrade] Move not allowed in current phase');
+    return;
+  }
+
+  // Validate this action can be taken and the purchase
+  const actionError = turnActionError(G, 'buyUpgrade');
+  if (actionError) {
+    console.warn(`[buyUpgrade] ${actionError}`);
+    return;
+  }
+  const error = upgradePurchaseError(G, ctx.currentPlayer, upgradeName, option);
+  if (error) {
+    console.error(`[buyUpgrade] Cannot buy upgrade: ${error}`);
+    return;
+  }
+
+  const { cost, option: optionType } = upgrades.get(upgradeName);
+
+  // Update state immutably
+  useGameStore.setState((state) => {
+    const updatedPlayers = state.G.players.map(([id, props]) =>
+      id === ctx.currentPlayer
+        ? [id, {
+            ...props,
+            cash: (props.cash ?? 0) - cost,
+            upgrades: [...(props.upgrades ?? []), { name: upgradeName, option: optionType ? option : null }]
+          }]
+        : [id, props]
+    );
+
+    return {
+      G: {
+        ...state.G,
+        players: updatedPlayers,
+        monopolies: awardMonopolies({ ...state.G, players: updatedPlayers }),
+        turnActions: [...(state.G.turnActions ?? []), 'buyUpgrade']
+      }
+    };
+  });
+
+  // Check for phase transition after state update (a monopoly awards railroad ties)
+  const updatedState = useGameStore.getState();
+  checkPhaseTransition(updatedState.G, updatedState.ctx);
+
+  // Save state to localStorage
+  saveCurrentGameState();
+}
+
+/**
+ * Acknowledge the latest end-of-round independent railroad growth report, letting play continue.
+ * Any player can acknowledge it.
+ * 
+ * @returns {void}
+ */
+export function acknowledgeGrowthReport() {
+  // Get current state from store
+  const { G, ctx } = useGameStore.getState();
+
+  // Validate move is allowed in current phase
+  if (!isMoveAllowed('acknowledgeGrowthReport', ctx, G)) {
+    console.warn('[acknowledgeGrowthReport] Move not allowed in current phase');
+    return;
+  }
+
+  if (!G.growthReportPending) {
+    console.warn('[acknowledgeGrowthReport] There is no growth report waiting');
+    return;
+  }
+
+  // Update state immutably
+  useGameStore.setState((state) => ({
+    G: {
+      ...state.G,
+      growthReportPending: false
+    }
+  }));
+
+  // Save state to localStorage
+  saveCurrentGameState();
+}
+
+/**
+ * Sell the bankrupt player's chosen track to the bank during bankruptcy (see bankruptcy.js), then start
+ * auctioning it to the other players. The sale is recorded in G.history.
+ * 
+ * @param {string[]} routeKeys - Routes of the bankrupt player's track to sell
+ * @returns {void}
+ */
+export function sellBankruptTrack(routeKeys) {
+  // Get current state from store
+  const { G, ctx } = useGameStore.getState();
+
+  // Validate move is allowed in current phase
+  if (!isMoveAllowed('sellBankruptTrack', ctx, G)) {
+    console.warn('[sellBankruptTrack] Move not allowed in current phase');
+    return;
+  }
+
+  // Validate the sale
+  const error = trackSaleError(G, routeKeys);
+  if (error) {
+    console.warn(`[sellBankruptTrack] Cannot sell track: ${error}`);
+    return;
+  }
+
+  // Update state immutably
+  useGameStore.setState((state) => {
+    const { players, independentRailroads, bankruptcy, closedLots } = sellTrack(state.G, routeKeys);
+    const { playerID, amountDue, tiesReturned } = state.G.bankruptcy;
+
+    return {
+      G: {
+        ...state.G,
+        players,
+        independentRailroads,
+        bankruptcy,
+        history: [
+          ...(state.G.history ?? []),
+          historyEntry(ctx, 'bankruptcy', { bankruptPlayer: playerID, tiesReturned, amountDue, sold: [...routeKeys] }),
+          ...closedLots.map(lot => historyEntry(ctx, 'trackAuction', lot)),
+        ]
+      }
+    };
+  });
+
+  // Check for phase transition after state update (bankruptcy ends if there was nothing to auction)
+  const updatedState = useGameStore.getState();
+  checkPhaseTransition(updatedState.G, updatedState.ctx);
+
+  // Save state to localStorage
+  saveCurrentGameState();
+}
+
+/**
+ * Bid for a segment of a bankrupt player's track at auction. The first bidder for each lot chooses which
+ * segment it is. When the lot closes, the result is recorded in G.history.
+ * 
+ * @param {number} amount - Dollars bid: at least the segment's price to open, then $1,000 over the high bid
+ * @param {string|null} [routeKey] - The segment, when the first bidder is choosing one
+ * @param {string} [playerID] - Player bidding (BYOD); defaults to the player whose turn it is to bid
+ * @returns {void}
+ */
+export function bidForTrack(amount, routeKey = null, playerID) {
+  recordAuctionMove('bidForTrack', amount, routeKey, playerID);
+}
+
+/**
+ * Pass on a segment of a bankrupt player's track at auction; a player who passes can't bid on it again. The
+ * first bidder for each lot still chooses which segment it is. When the lot closes, the result is recorded
+ * in G.history.
+ * 
+ * @param {string|null} [routeKey] - The segment, when the first bidder is choosing one
+ * @param {string} [playerID] - Player passing (BYOD); defaults to the player whose turn it is to bid
+ * @returns {void}
+ */
+export function passOnTrack(routeKey = null, playerID) {
+  recordAuctionMove('passOnTrack', null, routeKey, playerID);
+}
+
+/**
+ * Shared implementation of bidForTrack and passOnTrack
+ * 
+ * @param {string} moveName
+ * @param {number|null} amount - Dollars bid, or null to pass
+ * @param {string|null} routeKey
+ * @param {string} [playerID]
+ * @returns {void}
+ */
+function recordAuctionMove(moveName, amount, routeKey, playerID) {
+  // Get current state from store
+  const { G, ctx } = useGameStore.getState();
+
+  // Validate move is allowed in current phase. Bidding goes around the table, so this isn't limited to the current player.
+  if (!isMoveAllowed(moveName, ctx, G)) {
+    console.warn(`[${moveName}] Move not allowed in current phase`);
+    return;
+  }
+
+  const bidder = playerID ?? G.bankruptcy?.auction?.bidder;
+  const error = amount === null ? passError(G, bidder, routeKey) : bidError(G, bidder, amount, routeKey);
+  if (error) {
+    console.warn(`[${moveName}] ${error}`);
+    return;
+  }
+
+  // Update state immutably
+  useGameStore.setState((state) => {
+    const { players, independentRailroads, bankruptcy, closedLots } = recordAuctionAction(state.G, bidder, amount, routeKey);
+
+    return {
+      G: {
+        ...state.G,
+        players,
+        independentRailroads,
+        bankruptcy,
+        history: [
+          ...(state.G.history ?? []),
+          ...closedLots.map(lot => historyEntry(ctx, 'trackAuction', lot)),
+        ]
+      }
+    };
+  });
+
+  // Check for phase transition after state update (bankruptcy ends after the last lot)
+  const updatedState = useGameStore.getState();
+  checkPhaseTransition(updatedState.G, updatedState.ctx);
+
+  // Save state to localStorage
+  saveCurrentGameState();
+}
+
+/**
+ * End the current player's turn.
+ * 
+ * @returns {void}
+ */
+export function endTurn() {
+  // Get current state from store
+  const { G, ctx } = useGameStore.getState();
 
   // Validate move is allowed in current phase
-  if (!isMoveAllowed('endTurn', ctx)) {
+  if (!isMoveAllowed('endTurn', ctx, G)) {
     console.warn('[endTurn] Move not allowed in current phase');
     return;
   }
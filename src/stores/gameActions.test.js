@@ -0,0 +1,330 @@
+import { vi } from 'vitest';
+import { useGameStore, createPlayerProps } from './gameStore';
+import {
+  toggleContractFulfilled,
+  chooseOfferedContract,
+  acknowledgeGrowthReport,
+  endTurn,
+  borrowMoney,
+  repayDebt,
+  submitStartingRanking,
+} from './gameActions';
+import { rewardValue, railroadTieValue } from '../Contract';
+import { debtService } from '../finance';
+
+// A game in the play phase where player 0 starts from Atlanta
+function startPlaying(G = {}) {
+  useGameStore.getState().resetState();
+  const state = useGameStore.getState();
+  useGameStore.setState({
+    G: {
+      ...state.G,
+      players: [
+        ['0', { ...createPlayerProps('A'), activeCities: ['Atlanta'] }],
+        ['1', { ...createPlayerProps('B'), activeCities: ['Boston'] }],
+      ],
+      ...G,
+    },
+    ctx: { ...state.ctx, phase: 'play' },
+  });
+}
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+const player = (playerID) => useGameStore.getState().G.players.find(([id]) => id === playerID)[1];
+
+describe('submitStartingRanking', () => {
+  beforeEach(() => {
+    startPlaying();
+    useGameStore.setState(state => ({ ctx: { ...state.ctx, phase: 'setup', currentPlayer: '0' } }));
+  });
+
+  test('keeps each ranking hidden until everyone has ranked', () => {
+    submitStartingRanking([2, 1, 4], '0');
+
+    const { startingRankings } = useGameStore.getState().G;
+    expect(startingRankings['0']).toBeTruthy();
+    expect(startingRankings['0']).not.toEqual([2, 1, 4]);
+    expect(JSON.stringify(startingRankings)).not.toContain('2,1,4');
+
+    submitStartingRanking([0, 3, 5], '1');
+
+    expect(useGameStore.getState().G.startingRankings).toEqual({ '0': [2, 1, 4], '1': [0, 3, 5] });
+  });
+});
+
+describe('toggleContractFulfilled settlement', () => {
+  const contract = (id, destinationKey, commodity) =>
+    ({ id, destinationKey, commodity, fulfilled: false, playerID: '0', type: 'private' });
+
+  test('pays no debt service while the player has only delivered in the Eastern section', () => {
+    const eastern = contract('c1', 'Atlanta', 'steel');
+    startPlaying({ contracts: [eastern] });
+    useGameStore.setState(state => ({
+      G: { ...state.G, players: state.G.players.map(([id, props]) => [id, id === '0' ? { ...props, debt: 10000 } : props]) },
+    }));
+    const { cash, railroadTies } = player('0');
+
+    toggleContractFulfilled('c1');
+
+    expect(useGameStore.getState().G.contracts[0].settlement).toMatchObject({ debtService: 0, shortfall: 0, milestone: null });
+    expect(player('0')).toMatchObject({
+      cash: cash + rewardValue(eastern),
+      railroadTies: railroadTies + railroadTieValue(eastern),
+      reachedCentral: false,
+    });
+  });
+
+  test('charges debt service once on the first Central delivery and reverses it when un-fulfilled', () => {
+    const central = contract('c1', 'Cincinnati', 'cotton');
+    startPlaying({ contracts: [central] });
+    useGameStore.setState(state => ({
+      G: { ...state.G, players: state.G.players.map(([id, props]) => [id, id === '0' ? { ...props, debt: 10000 } : props]) },
+    }));
+    const { cash, railroadTies } = player('0');
+
+    toggleContractFulfilled('c1');
+
+    expect(useGameStore.getState().G.contracts[0].settlement).toMatchObject({ debtService: debtService(10000), milestone: 'Central' });
+    expect(player('0')).toMatchObject({
+      cash: cash + rewardValue(central) - debtService(10000),
+      railroadTies: railroadTies + railroadTieValue(central),
+      reachedCentral: true,
+    });
+
+    toggleContractFulfilled('c1');
+
+    expect(useGameStore.getState().G.contracts[0].settlement).toBeUndefined();
+    expect(player('0')).toMatchObject({ cash, railroadTies, reachedCentral: false });
+  });
+
+  test('keeps a section reached while another fulfilled contract is still delivered there', () => {
+    startPlaying({ contracts: [contract('c1', 'Cincinnati', 'cotton'), contract('c2', 'Chicago', 'cotton')] });
+
+    toggleContractFulfilled('c1');
+    toggleContractFulfilled('c2');
+    toggleContractFulfilled('c1');
+
+    expect(player('0').reachedCentral).toBe(true);
+
+    toggleContractFulfilled('c2');
+
+    expect(player('0').reachedCentral).toBe(false);
+  });
+
+  test('flags a shortfall and pays no railroad ties when debt service is more than the player has', () => {
+    const western = contract('c1', 'Denver', 'copper');
+    startPlaying({ contracts: [western] });
+    useGameStore.setState(state => ({
+      G: { ...state.G, players: state.G.players.map(([id, props]) => [id, id === '0' ? { ...props, cash: 0, debt: 100000 } : props]) },
+    }));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    toggleContractFulfilled('c1');
+
+    expect(player('0')).toMatchObject({
+      cash: 0,
+      shortfall: debtService(100000) - rewardValue(western),
+      railroadTies: 0,
+      reachedWestern: true,
+    });
+  });
+});
+
+describe('toggleContractFulfilled market contracts', () => {
+  const market = { id: 'm1', destinationKey: 'Atlanta', commodity: 'steel', fulfilled: false, playerID: null, type: 'market' };
+
+  test('refuses a market contract to a player without a Mogul', () => {
+    startPlaying({ contracts: [market] });
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const { cash } = player('0');
+
+    toggleContractFulfilled('m1');
+
+    expect(useGameStore.getState().G.contracts[0]).toMatchObject({ fulfilled: false, playerID: null });
+    expect(player('0').cash).toBe(cash);
+  });
+
+  test('lets a player who owns a Mogul claim a market contract', () => {
+    startPlaying({ contracts: [market] });
+    useGameStore.setState(state => ({
+      G: { ...state.G, players: state.G.players.map(([id, props]) => [id, id === '0' ? { ...props, engines: ['Mogul'] } : props]) },
+    }));
+
+    toggleContractFulfilled('m1');
+
+    expect(useGameStore.getState().G.contracts[0]).toMatchObject({ fulfilled: true, playerID: '0' });
+  });
+});
+
+describe('chooseOfferedContract', () => {
+  const offered = (id, destinationKey, commodity) =>
+    ({ id, destinationKey, commodity, fulfilled: false, playerID: '0', type: 'private' });
+  const offer = [offered('a', 'Chicago', 'coal'), offered('b', 'Detroit', 'steel'), offered('c', 'Toronto', 'fish')];
+
+  beforeEach(() => {
+    startPlaying();
+    useGameStore.setState(state => ({
+      G: { ...state.G, players: state.G.players.map(([id, props]) => [id, id === '0' ? { ...props, pendingOffer: offer } : props]) },
+    }));
+  });
+
+  test('keeps the chosen contract, discards the rest and records what was offered', () => {
+    chooseOfferedContract('b');
+
+    const { G } = useGameStore.getState();
+    expect(G.contracts).toEqual([offer[1]]);
+    expect(player('0').pendingOffer).toBeNull();
+    expect(G.history.at(-1)).toMatchObject({
+      type: 'chooseOfferedContract',
+      playerID: '0',
+      offered: [
+        { id: 'a', destinationKey: 'Chicago', commodity: 'coal' },
+        { id: 'b', destinationKey: 'Detroit', commodity: 'steel' },
+        { id: 'c', destinationKey: 'Toronto', commodity: 'fish' },
+      ],
+      chosen: 'b',
+    });
+  });
+
+  test('ignores a contract that was not offered', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    chooseOfferedContract('z');
+
+    expect(useGameStore.getState().G.contracts).toEqual([]);
+    expect(player('0').pendingOffer).toEqual(offer);
+  });
+});
+
+describe('borrowMoney and repayDebt', () => {
+  beforeEach(() => {
+    startPlaying();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('borrowing adds to cash and debt and counts as a turn action', () => {
+    const { cash } = player('0');
+
+    borrowMoney(7500);
+    borrowMoney(10000);
+
+    expect(player('0')).toMatchObject({ cash: cash + 10000, debt: 10000 });
+    expect(useGameStore.getState().G.turnActions).toEqual(['borrowMoney']);
+  });
+
+  test('repaying takes from cash and debt but not below the minimum debt', () => {
+    useGameStore.setState(state => ({
+      G: { ...state.G, players: state.G.players.map(([id, props]) => [id, id === '0' ? { ...props, cash: 20000, debt: 25000 } : props]) },
+    }));
+
+    repayDebt(15000);
+    repayDebt(10000);
+
+    expect(player('0')).toMatchObject({ cash: 10000, debt: 15000 });
+    expect(useGameStore.getState().G.turnActions).toEqual(['repayDebt']);
+  });
+});
+
+describe('turn actions', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  test('rejects a third action in the same turn', () => {
+    startPlaying({ turnActions: ['buildTrack', 'buyEngine'] });
+    const { cash } = player('0');
+
+    borrowMoney(5000);
+
+    expect(useGameStore.getState().G.turnActions).toEqual(['buildTrack', 'buyEngine']);
+    expect(player('0')).toMatchObject({ cash, debt: 0 });
+  });
+
+  test('rejects taking the same action twice in a turn', () => {
+    startPlaying();
+
+    borrowMoney(5000);
+    borrowMoney(5000);
+
+    expect(useGameStore.getState().G.turnActions).toEqual(['borrowMoney']);
+    expect(player('0').debt).toBe(5000);
+  });
+});
+
+describe('growth reports', () => {
+  // Put the game on the given seat's turn in round 3
+  const onTurnOf = (playOrderPos) => {
+    useGameStore.setState(state => ({
+      ctx: { ...state.ctx, playOrder: ['0', '1'], playOrderPos, currentPlayer: String(playOrderPos), turn: 3 },
+    }));
+  };
+
+  test('the last player ending their turn adds a growth report and waits for it to be acknowledged', () => {
+    startPlaying({ independentRailroads: {} });
+    onTurnOf(1);
+
+    endTurn();
+
+    const { G, ctx } = useGameStore.getState();
+    expect(G.growthReports).toHaveLength(1);
+    expect(G.growthReports[0]).toEqual({ round: 3, extended: expect.any(Object), created: expect.any(Object) });
+    expect(G.growthReportPending).toBe(true);
+    expect(ctx.turn).toBe(4);
+  });
+
+  test('other players ending their turn don\'t add a report', () => {
+    startPlaying({ independentRailroads: {} });
+    onTurnOf(0);
+
+    endTurn();
+
+    expect(useGameStore.getState().G.growthReports ?? []).toEqual([]);
+    expect(useGameStore.getState().ctx.currentPlayer).toBe('1');
+  });
+
+  test('the turn can\'t end until the report is acknowledged', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    startPlaying({ growthReportPending: true });
+    onTurnOf(0);
+
+    endTurn();
+    expect(useGameStore.getState().ctx.currentPlayer).toBe('0');
+
+    acknowledgeGrowthReport();
+    endTurn();
+    expect(useGameStore.getState().G.growthReportPending).toBe(false);
+    expect(useGameStore.getState().ctx.currentPlayer).toBe('1');
+  });
+
+  test('other moves wait until the report is acknowledged', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    startPlaying({ growthReportPending: true });
+
+    borrowMoney(5000);
+    expect(player('0').debt).toBe(0);
+
+    acknowledgeGrowthReport();
+    borrowMoney(5000);
+    expect(player('0').debt).toBe(5000);
+  });
+});
+
+describe('toggleContractFulfilled', () => {
+  test('un-fulfilling the contract that caused a settled bankruptcy leaves no negative shortfall', () => {
+    // The contract left player 0 $2,000 short; bankruptcy has since cleared the shortfall
+    const contract = {
+      id: 'c1', destinationKey: 'Birmingham', commodity: 'coal', fulfilled: true, playerID: '0', type: 'private',
+      settlement: { cashChange: 0, shortfall: 2000, railroadTies: 0, milestone: null },
+    };
+    startPlaying({ contracts: [contract] });
+
+    toggleContractFulfilled('c1');
+
+    expect(useGameStore.getState().G.contracts[0].fulfilled).toBe(false);
+    expect(player('0').shortfall).toBe(0);
+  });
+});
@@ -1,4 +1,6 @@
 import { create } from 'zustand';
+import { STARTING_ENGINE } from '../engines';
+import { STARTING_CASH } from '../finance';
 
 /**
  * @typedef {Object} Contract
@@ -14,21 +16,66 @@ import { create } from 'zustand';
  * @typedef {Object} PlayerProps
  * @property {string} name
  * @property {Array<string>} activeCities
+ * @property {number} cash - Dollars on hand
+ * @property {number} debt - Dollars borrowed and not yet repaid
+ * @property {number} railroadTies - Railroad ties earned from fulfilled contracts and connection bonuses
+ * @property {boolean} reachedCentral - Has fulfilled a contract in the Central section
+ * @property {boolean} reachedWestern - Has fulfilled a contract in the Western section
+ * @property {number} shortfall - Debt service the player could not pay; above zero means bankruptcy
+ * @property {Array<string>} engines - Names of the engines in the player's fleet (keys of the engines Map)
+ * @property {Array<{name: string, option: string|null}>} upgrades - Upgrades the player owns (keys of the upgrades Map), with the city, region or commodity chosen for each
+ * @property {{cash: number, reason: string|null}|null} startingAdjustment - Extra starting cash for a weaker starting pair, and why (see startingPositions.js)
+ * @property {Array<Contract>|null} pendingOffer - Private contracts offered to the player, waiting for them to choose one
+ * @property {Array<{routeKey: string, parallel: boolean}>} track - Track segments the player has built (keys of the routes Map), oldest first; parallel if laid beside another player's track
  */
 
+/**
+ * Create the data for a player at the start of the game
+ * @param {string} name - Player's display name
+ * @returns {PlayerProps}
+ */
+export function createPlayerProps(name) {
+  return {
+    name,
+    activeCities: [],
+    cash: STARTING_CASH,
+    debt: 0,
+    railroadTies: 0,
+    reachedCentral: false,
+    reachedWestern: false,
+    shortfall: 0,
+    engines: [STARTING_ENGINE],
+    upgrades: [],
+    startingAdjustment: null,
+    pendingOffer: null,
+    track: [],
+  };
+}
+
 /**
  * Initial game state (G) structure
  * @typedef {Object} GameState
  * @property {Array<Contract>} contracts - All contracts in the game
  * @property {Array<[string, PlayerProps]>} players - Array of [playerID, playerData] tuples
  * @property {Object} independentRailroads - Map of railroad name to railroad data
+ * @property {boolean} serviceYardUnlocked - Someone has bought a Consolidation, so anyone can buy a Service Yard
+ * @property {Array<string>} turnActions - Actions (move names) the current player has taken this turn; cleared when the turn ends
+ * @property {Object<string, string>} monopolies - Map of commodity to ID of the player holding its monopoly
+ * @property {Array<Object>|null} finalScores - Ranked final scores, set when the game ends (see scoring.js)
+ * @property {Array<Object>} history - Log of notable moves, oldest first, each with type, turn and playerID
+ * @property {Object<string, string|number[]>} startingRankings - Each player's ranking of starting pairs (indexes into STARTING_CITY_PAIRS), keyed by playerID; sealed (see sealRanking) until the draft resolves
+ * @property {Array<{round: number, extended: Object<string, string[]>, created: Object<string, string[]>}>} growthReports - How the independent railroads grew at the end of each round
+ * @property {boolean} growthReportPending - The latest growth report hasn't been acknowledged yet, so play can't continue
+ * @property {Array<import('../connectionBonuses').ConnectionBonus>} connectionBonuses - Railroad tie bonuses for connecting places, generated when the game is created
+ * @property {import('../bankruptcy').Bankruptcy|null} bankruptcy - The bankruptcy in progress (track sale and auction), or null
+ * @property {string|null} nextRoundFirstPlayer - Player who took the "Go first next round" action this round, or null
  */
 
 /**
  * Game context (ctx) structure
  * Contains game flow metadata (phase, current player, turn info)
  * @typedef {Object} GameContext
- * @property {string} phase - Current phase name ('setup', 'play', 'scoring')
+ * @property {string} phase - Current phase name ('setup', 'play', 'bankruptcy', 'scoring')
  * @property {string} currentPlayer - ID of player whose turn it is ('0', '1', etc.)
  * @property {number} numPlayers - Total number of players (3)
  * @property {Array<string>} playOrder - Array of player IDs in turn order
@@ -64,9 +111,20 @@ function getInitialState(numPlayers = 3) {
       contracts: [],
       players: Array.from({ length: numPlayers }, (_, i) => [
         String(i),
-        { name: `Player ${i}`, activeCities: [] }
+        createPlayerProps(`Player ${i}`)
       ]),
       independentRailroads: {},
+      serviceYardUnlocked: false,
+      turnActions: [],
+      monopolies: {},
+      finalScores: null,
+      history: [],
+      startingRankings: {},
+      growthReports: [],
+      growthReportPending: false,
+      connectionBonuses: [],
+      bankruptcy: null,
+      nextRoundFirstPlayer: null,
     },
     ctx: {
       phase: 'setup',
@@ -9,27 +9,52 @@
  */
 const MOVES_BY_PHASE = {
   setup: [
+    'submitStartingRanking',
     'generateStartingContract'
   ],
   play: [
     'generatePrivateContract',
+    'offerPrivateContracts',
+    'chooseOfferedContract',
+    'discardPrivateContract',
     'generateMarketContract',
     'addManualContract',
     'toggleContractFulfilled',
     'deleteContract',
     'acquireIndependentRailroad',
     'addCityToPlayer',
+    'buildTrack',
+    'claimConnectionBonus',
+    'claimFirstPlayer',
+    'borrowMoney',
+    'repayDebt',
+    'buyEngine',
+    'buyUpgrade',
+    'acknowledgeGrowthReport',
     'endTurn'
   ],
+  bankruptcy: [
+    'sellBankruptTrack',
+    'bidForTrack',
+    'passOnTrack'
+  ],
   scoring: [
-    // No moves allowed in scoring phase (stub)
+    // No moves allowed in scoring phase (game is over)
   ]
 };
 
+/**
+ * Moves allowed while an end-of-round growth report is waiting to be acknowledged
+ * @type {Array<string>}
+ */
+const MOVES_WHILE_GROWTH_REPORT_PENDING = [
+  'acknowledgeGrowthReport'
+];
+
 /**
  * Check if a move is allowed in the current phase
  * @param {string} moveName - Name of the move to validate
- * @param {string} phase - Current phase name ('setup', 'play', 'scoring')
+ * @param {string} phase - Current phase name ('setup', 'play', 'bankruptcy', 'scoring')
  * @returns {boolean} True if move is allowed in this phase
  */
 export function isMoveAllowedInPhase(moveName, phase) {
@@ -52,12 +77,13 @@ export function isCorrectPlayerTurn(playerID, currentPlayer) {
 }
 
 /**
- * Validate that a move is allowed in the current phase
+ * Validate that a move is allowed in the current phase. Play waits while a growth report is pending.
  * @param {string} moveName - Name of the move to validate
  * @param {Object} ctx - Game context object
+ * @param {Object} [G] - Game state object
  * @returns {boolean} True if move is allowed
  */
-export function isMoveAllowed(moveName, ctx) {
+export function isMoveAllowed(moveName, ctx, G) {
   if (!ctx) {
     console.error('[moveValidation] ctx is required');
     return false;
@@ -81,6 +107,13 @@ export function isMoveAllowed(moveName, ctx) {
     return false;
   }
 
+  if (ctx.phase === 'play' && G?.growthReportPending && !MOVES_WHILE_GROWTH_REPORT_PENDING.includes(moveName)) {
+    console.warn(
+      `[moveValidation] Move "${moveName}" must wait until the growth report is acknowledged`
+    );
+    return false;
+  }
+
   return true;
 }
 
@@ -1,12 +1,27 @@
 import {
   generateStartingContract,
+  submitStartingRanking,
   generatePrivateContract,
+  offerPrivateContracts,
+  chooseOfferedContract,
+  discardPrivateContract,
   generateMarketContract,
   addManualContract,
   toggleContractFulfilled,
   deleteContract,
   acquireIndependentRailroad,
   addCityToPlayer,
+  buildTrack,
+  claimConnectionBonus,
+  claimFirstPlayer,
+  borrowMoney,
+  repayDebt,
+  buyEngine,
+  buyUpgrade,
+  acknowledgeGrowthReport,
+  sellBankruptTrack,
+  bidForTrack,
+  passOnTrack,
   endTurn
 } from './gameActions';
 
@@ -22,9 +37,21 @@ export const createMoves = (store) => ({
   generateStartingContract: (activeCities, playerID) => 
     generateStartingContract(activeCities, playerID),
   
+  submitStartingRanking: (ranking, playerID) => 
+    submitStartingRanking(ranking, playerID),
+  
   generatePrivateContract: () => 
     generatePrivateContract(),
   
+  offerPrivateContracts: () => 
+    offerPrivateContracts(),
+  
+  chooseOfferedContract: (contractID) => 
+    chooseOfferedContract(contractID),
+  
+  discardPrivateContract: (contractID) => 
+    discardPrivateContract(contractID),
+  
   generateMarketContract: () => 
     generateMarketContract(),
   
@@ -37,12 +64,45 @@ export const createMoves = (store) => ({
   deleteContract: (contractID) => 
     deleteContract(contractID),
   
-  acquireIndependentRailroad: (railroadName) => 
-    acquireIndependentRailroad(railroadName),
+  acquireIndependentRailroad: (railroadName, ignoreConnection) => 
+    acquireIndependentRailroad(railroadName, ignoreConnection),
   
   addCityToPlayer: (cityKey) => 
     addCityToPlayer(cityKey),
   
+  buildTrack: (routeKeys) => 
+    buildTrack(routeKeys),
+  
+  claimConnectionBonus: (bonusID) => 
+    claimConnectionBonus(bonusID),
+  
+  claimFirstPlayer: () => 
+    claimFirstPlayer(),
+  
+  borrowMoney: (amount) => 
+    borrowMoney(amount),
+  
+  repayDebt: (amount) => 
+    repayDebt(amount),
+  
+  buyEngine: (engineName, replacedEngine, tradeIn) => 
+    buyEngine(engineName, replacedEngine, tradeIn),
+  
+  buyUpgrade: (upgradeName, option) => 
+    buyUpgrade(upgradeName, option),
+  
+  acknowledgeGrowthReport: () => 
+    acknowledgeGrowthReport(),
+  
+  sellBankruptTrack: (routeKeys) => 
+    sellBankruptTrack(routeKeys),
+  
+  bidForTrack: (amount, routeKey, playerID) => 
+    bidForTrack(amount, routeKey, playerID),
+  
+  passOnTrack: (routeKey, playerID) => 
+    passOnTrack(routeKey, playerID),
+  
   endTurn: () => 
     endTurn()
 });
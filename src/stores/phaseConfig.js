@@ -1,4 +1,6 @@
 import { growIndependentRailroads } from '../independentRailroads';
+import { hasReachedWinningTies, finalScores } from '../scoring';
+import { bankruptPlayer, startBankruptcy } from '../bankruptcy';
 
 /**
  * Phase configuration that defines phase structure, transitions, and hooks for turn/phase management
@@ -7,7 +9,7 @@ import { growIndependentRailroads } from '../independentRailroads';
 /**
  * Phase configuration object
  * Each phase has:
- * - next: Name of next phase to transition to
+ * - next: Name of next phase to transition to, or a function of { G, ctx } that returns it
  * - endIf: Function that returns true when phase should end
  * - onEnd: Hook called when phase ends
  * - turn.onEnd: Hook called at end of turn (for round-end logic)
@@ -98,31 +100,48 @@ export const phaseConfig = {
 
   // Phase 2: Play - Main game with all normal actions
   play: {
-    next: 'scoring',
+    /**
+     * A bankrupt player interrupts play for bankruptcy; otherwise the game is over
+     * @param {Object} params
+     * @param {Object} params.G - Game state
+     * @param {Object} params.ctx - Game context
+     * @returns {string} Name of the next phase
+     */
+    next: ({ G }) => bankruptPlayer(G) !== null ? 'bankruptcy' : 'scoring',
     
     /**
-     * No automatic end condition yet - game continues indefinitely
+     * End play phase when a player goes bankrupt or any player has reached 30 railroad ties
      * @param {Object} params
      * @param {Object} params.G - Game state
      * @param {Object} params.ctx - Game context
-     * @returns {boolean} Always returns false (phase never ends automatically)
+     * @returns {boolean} True if phase should end
      */
     endIf: ({ G, ctx }) => {
-      return false;
+      return bankruptPlayer(G) !== null || hasReachedWinningTies(G);
     },
     
     /**
-     * Hook called when play phase ends (not currently used)
+     * Hook called when play phase ends
+     * Puts a bankrupt player into bankruptcy (see bankruptcy.js); otherwise applies end-of-game awards and
+     * records the final ranked scores in G.finalScores
      * @param {Object} params
      * @param {Object} params.G - Game state
      * @param {Object} params.ctx - Game context
      */
-    onEnd: null,
+    onEnd: ({ G, ctx }) => {
+      const bankruptID = bankruptPlayer(G);
+      if (bankruptID !== null) {
+        startBankruptcy(G, bankruptID, ctx.playOrder);
+        return;
+      }
+      G.finalScores = finalScores(G);
+    },
     
     turn: {
       /**
        * Hook called at end of turn in play phase
-       * Executes end-of-round actions (e.g., growIndependentRailroads) if this is the last player's turn
+       * Executes end-of-round actions (e.g., growIndependentRailroads) if this is the last player's turn.
+       * The growth is recorded in G.growthReports and has to be acknowledged before play continues.
        * @param {Object} params
        * @param {Object} params.G - Game state
        * @param {Object} params.ctx - Game context
@@ -130,29 +149,55 @@ export const phaseConfig = {
       onEnd: ({ G, ctx }) => {
         // Do end of round actions if this is the end of the last player's turn
         if (ctx.playOrderPos === ctx.playOrder.length - 1) {
-          console.log(growIndependentRailroads(G));
+          const growth = growIndependentRailroads(G);
+          G.growthReports = [...(G.growthReports ?? []), { round: ctx.turn, ...growth }];
+          G.growthReportPending = true;
         }
       }
     }
   },
 
-  // Phase 3: Scoring - Stub for future implementation
+  // Bankruptcy - Interrupts play: the bankrupt player sells track to the bank, then the other players auction
+  // it off one segment at a time. Play resumes where it left off.
+  bankruptcy: {
+    next: 'play',
+    
+    /**
+     * End bankruptcy once every lot of track has been auctioned (or the player had nothing to sell)
+     * @param {Object} params
+     * @param {Object} params.G - Game state
+     * @param {Object} params.ctx - Game context
+     * @returns {boolean} True if phase should end
+     */
+    endIf: ({ G, ctx }) => {
+      return !G.bankruptcy;
+    },
+    
+    onEnd: null,
+    
+    turn: {
+      // No turn onEnd hook for bankruptcy; turns don't change during it
+      onEnd: null
+    }
+  },
+
+  // Phase 3: Scoring - Game is over; final scores are shown and no more moves are made
   scoring: {
     next: 'scoring', // Loops back to itself (end game)
     
     /**
-     * End condition for scoring phase (not yet implemented)
+     * Scoring phase never ends; it is the end of the game
      * @param {Object} params
      * @param {Object} params.G - Game state
      * @param {Object} params.ctx - Game context
-     * @returns {boolean} Always returns false (stub)
+     * @returns {boolean} Always returns false
      */
     endIf: ({ G, ctx }) => {
       return false;
     },
     
     /**
-     * Hook called when scoring phase begins (not currently used)
+     * Hook called when scoring phase ends (never called; scoring is the final phase)
      * @param {Object} params
      * @param {Object} params.G - Game state
      * @param {Object} params.ctx - Game context
@@ -168,7 +213,7 @@ export const phaseConfig = {
 
 /**
  * Get phase configuration for a given phase name
- * @param {string} phaseName - Name of the phase ('waiting_for_players', 'setup', 'play', 'scoring')
+ * @param {string} phaseName - Name of the phase ('waiting_for_players', 'setup', 'play', 'bankruptcy', 'scoring')
  * @returns {Object|undefined} Phase configuration object or undefined if not found
  */
 export function getPhaseConfig(phaseName) {
@@ -5,7 +5,7 @@
 
 import { useGameStore } from './gameStore';
 import { getPhaseConfig, executePhaseOnEnd } from './phaseConfig';
-import { getCurrentGameCode, saveGameState } from '../utils/gameManager';
+import { getCurrentGameCode, saveGameState, markGameCompleted } from '../utils/gameManager';
 
 /**
  * Check if the current phase should end and transition to the next phase.
@@ -33,8 +33,10 @@ export function checkPhaseTransition(G, ctx) {
     return false;
   }
 
-  // Phase should end - transition to next phase
-  const nextPhase = currentPhaseConfig.next;
+  // Phase should end - transition to next phase (decided before onEnd, which may change G)
+  const nextPhase = typeof currentPhaseConfig.next === 'function'
+    ? currentPhaseConfig.next({ G, ctx })
+    : currentPhaseConfig.next;
   
   if (!nextPhase) {
     console.warn(`[checkPhaseTransition] Phase ${ctx.phase} has no next phase defined`);
@@ -42,7 +44,7 @@ export function checkPhaseTransition(G, ctx) {
   }
 
   // Execute current phase's onEnd hook before transitioning
-  // Note: onEnd hooks may mutate G (though currently none do)
+  // Note: onEnd hooks may mutate G (play's onEnd records the final scores or starts a bankruptcy)
   executePhaseOnEnd(ctx.phase, G, ctx);
 
   // Update state with new phase
@@ -63,9 +65,16 @@ export function checkPhaseTransition(G, ctx) {
   const gameCode = getCurrentGameCode();
   if (gameCode) {
     const updatedState = useGameStore.getState();
-    saveGameState(gameCode, updatedState.G, updatedState.ctx).catch((error) => {
-      console.error('[checkPhaseTransition] Failed to save game state:', error.message);
-    });
+    saveGameState(gameCode, updatedState.G, updatedState.ctx)
+      .then(() => {
+        // Record the results in metadata once the final state is saved, so the save can't overwrite them
+        if (nextPhase === 'scoring') {
+          return markGameCompleted(gameCode, updatedState.G.finalScores);
+        }
+      })
+      .catch((error) => {
+        console.error('[checkPhaseTransition] Failed to save game state:', error.message);
+      });
   }
 
   console.log(`[checkPhaseTransition] Phase transition: ${ctx.phase} → ${nextPhase}`);
@@ -0,0 +1,168 @@
+import { routes } from "./data";
+import { citiesConnectedTo } from "./utils/graph";
+import { trackBuildError, trackOwners } from "./network";
+import { hasUpgrade } from "./upgrades";
+
+/**
+ * Track building costs: what each segment costs and how many can be built with one Build Track action
+ */
+
+// A segment costs $1,000 plus $1,000 for each unit of its length, so $2,000–$6,000
+const TRACK_BASE_COST = 1000;
+const TRACK_COST_PER_LENGTH = 1000;
+
+// Parallel track costs this much more per segment; mountainous track costs double, parallel or not
+export const PARALLEL_TRACK_COST = 1000;
+const MOUNTAINOUS_MULTIPLIER = 2;
+
+// Building within two links of your own Hub costs this much less per segment
+export const HUB_TRACK_DISCOUNT = 1000;
+
+// Segments built by one Build Track action, without and with an Employment Office
+export const SEGMENTS_PER_BUILD = 2;
+export const EMPLOYMENT_OFFICE_SEGMENTS_PER_BUILD = 3;
+
+
+/**
+ * How many segments a player can build with one Build Track action
+ *
+ * @export
+ * @param {Object} playerProps - Player data from G.players
+ * @returns {number}
+ */
+export function segmentsPerBuild(playerProps) {
+  return hasUpgrade(playerProps, "Employment Office") ? EMPLOYMENT_OFFICE_SEGMENTS_PER_BUILD : SEGMENTS_PER_BUILD;
+}
+
+
+/**
+ * The normal price of a segment of track, before any hub discount
+ *
+ * @export
+ * @param {string} routeKey - key of routes in data/routes.js
+ * @param {boolean} parallel - Laid beside another player's track
+ * @returns {number}
+ */
+export function trackPrice(routeKey, parallel) {
+  const { length, mountainous } = routes.get(routeKey);
+  const price = TRACK_BASE_COST + length * TRACK_COST_PER_LENGTH + (parallel ? PARALLEL_TRACK_COST : 0);
+  return mountainous ? price * MOUNTAINOUS_MULTIPLIER : price;
+}
+
+
+/**
+ * Itemized cost of one segment of track for a player. A segment is within two links of a hub when it is
+ * one of the first two segments out from it, i.e. one of its cities is the hub or next to it.
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {string} playerID
+ * @param {string} routeKey - key of routes in data/routes.js
+ * @returns {{routeKey: string, length: number, mountainous: boolean, parallel: boolean, base: number,
+ *   mountainSurcharge: number, parallelSurcharge: number, hubDiscount: number, cost: number}}
+ */
+export function trackSegmentCost(G, playerID, routeKey) {
+  const { length, mountainous, cities } = routes.get(routeKey);
+  const playerProps = G.players.find(([id]) => id === playerID)?.[1] ?? {};
+  const parallel = trackOwners(G, routeKey).some(ownerID => ownerID !== playerID);
+
+  const base = TRACK_BASE_COST + length * TRACK_COST_PER_LENGTH;
+  const parallelSurcharge = (parallel ? PARALLEL_TRACK_COST : 0) * (mountainous ? MOUNTAINOUS_MULTIPLIER : 1);
+  const mountainSurcharge = mountainous ? base * (MOUNTAINOUS_MULTIPLIER - 1) : 0;
+
+  const hubs = (playerProps.upgrades ?? [])
+    .filter(upgrade => upgrade.name === "Hub" && upgrade.option)
+    .map(upgrade => upgrade.option);
+  const nearHub = citiesConnectedTo(hubs, { includeFromCities: true });
+  const hubDiscount = cities.some(cityKey => nearHub.has(cityKey)) ? HUB_TRACK_DISCOUNT : 0;
+
+  return {
+    routeKey,
+    length,
+    mountainous,
+    parallel,
+    base,
+    mountainSurcharge,
+    parallelSurcharge,
+    hubDiscount,
+    cost: trackPrice(routeKey, parallel) - hubDiscount,
+  };
+}
+
+
+/**
+ * Itemized cost of building several segments of track in one action
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {string} playerID
+ * @param {string[]} routeKeys - keys of routes in data/routes.js
+ * @returns {{segments: Array<ReturnType<typeof trackSegmentCost>>, total: number}}
+ */
+export function trackBuildCost(G, playerID, routeKeys) {
+  const segments = routeKeys.map(routeKey => trackSegmentCost(G, playerID, routeKey));
+  return { segments, total: segments.reduce((sum, segment) => sum + segment.cost, 0) };
+}
+
+
+/**
+ * Returns a reason the player cannot plan to build these segments together, or null if they can. Each
+ * segment may connect to the network through the ones before it. Cash isn't checked (see buildTrackError).
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {string} playerID
+ * @param {string[]} routeKeys - keys of routes in data/routes.js, in the order they're built
+ * @returns {string|null}
+ */
+export function trackPlanError(G, playerID, routeKeys) {
+  const playerProps = G.players.find(([id]) => id === playerID)?.[1];
+
+  if (!playerProps) {
+    return `player "${playerID}" not found`;
+  }
+  if (!Array.isArray(routeKeys) || routeKeys.length === 0) {
+    return "choose at least one segment to build";
+  }
+  const limit = segmentsPerBuild(playerProps);
+  if (routeKeys.length > limit) {
+    return `you can build at most ${limit} segments at a time`;
+  }
+
+  let plannedG = G;
+  for (const routeKey of routeKeys) {
+    const error = trackBuildError(plannedG, playerID, routeKey);
+    if (error) {
+      return error;
+    }
+    plannedG = {
+      ...plannedG,
+      players: plannedG.players.map(([id, props]) =>
+        id === playerID ? [id, { ...props, track: [...(props.track ?? []), { routeKey, parallel: false }] }] : [id, props]
+      ),
+    };
+  }
+  return null;
+}
+
+
+/**
+ * Returns a reason the player cannot build these segments now, or null if they can
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {string} playerID
+ * @param {string[]} routeKeys - keys of routes in data/routes.js, in the order they're built
+ * @returns {string|null}
+ */
+export function buildTrackError(G, playerID, routeKeys) {
+  const planError = trackPlanError(G, playerID, routeKeys);
+  if (planError) {
+    return planError;
+  }
+  const cash = G.players.find(([id]) => id === playerID)[1].cash ?? 0;
+  if (cash < trackBuildCost(G, playerID, routeKeys).total) {
+    return "not enough cash to build this track";
+  }
+  return null;
+}
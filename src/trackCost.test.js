@@ -0,0 +1,43 @@
+import { trackSegmentCost, trackPlanError, buildTrackError } from './trackCost';
+
+const player = (extra = {}) => ({ cash: 20000, activeCities: ['Atlanta'], upgrades: [], track: [], ...extra });
+const game = (...players) => ({ players: players.map((props, i) => [String(i), props]) });
+
+describe('trackSegmentCost', () => {
+  test('costs $1,000 plus $1,000 per unit of length, doubled for mountains', () => {
+    expect(trackSegmentCost(game(player()), '0', 'Atlanta-Birmingham').cost).toBe(2000);
+    expect(trackSegmentCost(game(player()), '0', 'Bismarck-Butte').cost).toBe(12000);
+  });
+
+  test('adds $1,000 for parallel track, doubled for mountains', () => {
+    const other = player({ track: [{ routeKey: 'Bismarck-Butte', parallel: false }] });
+    expect(trackSegmentCost(game(player(), other), '0', 'Bismarck-Butte').cost).toBe(14000);
+  });
+
+  test('takes $1,000 off within two links of the player\'s own hub', () => {
+    const hub = [{ name: 'Hub', option: 'Savannah' }];
+    expect(trackSegmentCost(game(player({ upgrades: hub })), '0', 'Atlanta-Birmingham').hubDiscount).toBe(1000);
+    expect(trackSegmentCost(game(player({ upgrades: hub })), '0', 'Birmingham-Memphis').hubDiscount).toBe(0);
+    expect(trackSegmentCost(game(player(), player({ upgrades: hub })), '0', 'Atlanta-Birmingham').hubDiscount).toBe(0);
+  });
+});
+
+describe('trackPlanError', () => {
+  test('lets later segments connect through earlier ones', () => {
+    expect(trackPlanError(game(player()), '0', ['Atlanta-Birmingham', 'Birmingham-Memphis'])).toBeNull();
+    expect(trackPlanError(game(player()), '0', ['Birmingham-Memphis', 'Atlanta-Birmingham'])).toMatch("doesn't touch");
+  });
+
+  test('allows a third segment only with an Employment Office', () => {
+    const route = ['Atlanta-Birmingham', 'Birmingham-Memphis', 'Atlanta-Savannah'];
+    expect(trackPlanError(game(player()), '0', route)).toMatch('at most 2');
+    expect(trackPlanError(game(player({ upgrades: [{ name: 'Employment Office', option: null }] })), '0', route)).toBeNull();
+  });
+});
+
+describe('buildTrackError', () => {
+  test('needs enough cash for the whole build', () => {
+    expect(buildTrackError(game(player({ cash: 5000 })), '0', ['Atlanta-Birmingham', 'Atlanta-Savannah'])).toBeNull();
+    expect(buildTrackError(game(player({ cash: 5000 })), '0', ['Atlanta-Birmingham', 'Atlanta-Raleigh'])).toMatch('cash');
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * Turn action rules: how many actions a player may take on their turn
+ */
+
+// A player may take one or two actions on their turn
+export const ACTIONS_PER_TURN = 2;
+
+
+/**
+ * Returns a reason the current player cannot take this action now, or null if they can. No action may be
+ * taken more than once per turn.
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {string} action - Name of the move that takes the action
+ * @returns {string|null}
+ */
+export function turnActionError(G, action) {
+  const taken = G.turnActions ?? [];
+  if (taken.length >= ACTIONS_PER_TURN) {
+    return `you have already taken ${ACTIONS_PER_TURN} actions this turn`;
+  }
+  if (taken.includes(action)) {
+    return "you have already taken this action this turn";
+  }
+  return null;
+}
@@ -0,0 +1,14 @@
+import { turnActionError } from './turnActions';
+
+describe('turnActionError', () => {
+  test('allows two different actions a turn', () => {
+    expect(turnActionError({ turnActions: [] }, 'borrowMoney')).toBeNull();
+    expect(turnActionError({ turnActions: ['borrowMoney'] }, 'repayDebt')).toBeNull();
+    expect(turnActionError({}, 'borrowMoney')).toBeNull();
+  });
+
+  test('rejects a third action and the same action twice', () => {
+    expect(turnActionError({ turnActions: ['borrowMoney', 'repayDebt'] }, 'buildTrack')).toBe('you have already taken 2 actions this turn');
+    expect(turnActionError({ turnActions: ['borrowMoney'] }, 'borrowMoney')).toBe('you have already taken this action this turn');
+  });
+});
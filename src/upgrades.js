@@ -0,0 +1,166 @@
+import { upgrades, regions, commodities } from "./data";
+import { networkCities } from "./network";
+import { evaluateRegionalDominance } from "./regionalDominance";
+import { monopolyTerms } from "./monopolies";
+
+/**
+ * Upgrade rules: what each player owns, and the conditions for buying each upgrade
+ */
+
+// Upgraded Stations pay this much extra for each delivery
+export const UPGRADED_STATIONS_BONUS = 3000;
+
+// Private contracts offered per draw, without and with a Hub
+export const PRIVATE_CONTRACT_OFFER = 2;
+export const HUB_PRIVATE_CONTRACT_OFFER = 3;
+
+
+/**
+ * Whether a player owns an upgrade, optionally for a particular city, region or commodity
+ *
+ * @export
+ * @param {Object} playerProps - Player data from G.players
+ * @param {string} name - key of the upgrades Map
+ * @param {string} [option] - city, region or commodity the upgrade was bought for
+ * @returns {boolean}
+ */
+export function hasUpgrade(playerProps, name, option) {
+  return (playerProps.upgrades ?? []).some(upgrade =>
+    upgrade.name === name && (option === undefined || upgrade.option === option)
+  );
+}
+
+
+/**
+ * Cities with a Hub on them and the player who owns each. A city can only be a hub for one player.
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @returns {Map<string, string>} city key → playerID
+ */
+export function hubOwners(G) {
+  const owners = new Map();
+  G.players.forEach(([playerID, props]) => {
+    (props.upgrades ?? [])
+      .filter(upgrade => upgrade.name === "Hub" && upgrade.option)
+      .forEach(upgrade => owners.set(upgrade.option, playerID));
+  });
+  return owners;
+}
+
+
+/**
+ * How many private contracts a player is offered to choose from
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {*} playerID
+ * @returns {number}
+ */
+export function privateContractOfferSize(G, playerID) {
+  const playerProps = G.players.find(([id]) => id === playerID)?.[1];
+  return playerProps && hasUpgrade(playerProps, "Hub") ? HUB_PRIVATE_CONTRACT_OFFER : PRIVATE_CONTRACT_OFFER;
+}
+
+
+/**
+ * Returns why no option of an upgrade is available to a player yet, or null if it isn't locked
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {*} playerID
+ * @param {string} name - key of the upgrades Map
+ * @returns {string|null}
+ */
+export function upgradeLockReason(G, playerID, name) {
+  if (name === "Service Yard" && !G.serviceYardUnlocked) {
+    return "available once anyone buys a Consolidation";
+  }
+  if (name === "Regional Office" && regionalOfficeRegions(G, playerID).length === 0) {
+    return "needs half of a region's cities with no other player there";
+  }
+  return null;
+}
+
+
+/**
+ * Regions where a player may build a Regional Office: they connect to at least half (rounded down) of the
+ * region's cities and no other player connects to any
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {*} playerID
+ * @returns {string[]} region codes
+ */
+export function regionalOfficeRegions(G, playerID) {
+  return [...evaluateRegionalDominance(G)]
+    .filter(([, region]) => region.players.every(player =>
+      player.playerID === playerID ? player.cities >= region.threshold : player.cities === 0
+    ))
+    .map(([regionCode]) => regionCode);
+}
+
+
+/**
+ * Returns a reason the player cannot buy this upgrade, or null if they can
+ *
+ * @export
+ * @param {*} G - Game state object
+ * @param {*} playerID
+ * @param {string} name - key of the upgrades Map
+ * @param {string|null} [option=null] - city, region or commodity for upgrades that need one
+ * @returns {string|null}
+ */
+export function upgradePurchaseError(G, playerID, name, option = null) {
+  const upgrade = upgrades.get(name);
+  const playerProps = G.players.find(([id]) => id === playerID)?.[1];
+
+  if (!upgrade) {
+    return `"${name}" is not an upgrade`;
+  }
+  if (!playerProps) {
+    return `player "${playerID}" not found`;
+  }
+  if (upgrade.option && !option) {
+    return `choose a ${upgrade.option} for the ${name}`;
+  }
+  if (hasUpgrade(playerProps, name, upgrade.option ? option : undefined)) {
+    return `you already own ${upgrade.option ? `a ${name} for ${option}` : `the ${name}`}`;
+  }
+
+  const lockReason = upgradeLockReason(G, playerID, name);
+  if (lockReason) {
+    return lockReason;
+  }
+
+  switch (upgrade.option) {
+    case "city":
+      if (!networkCities(playerProps).has(option)) {
+        return `${option} is not connected to your network`;
+      }
+      if (G.players.some(([, props]) => hasUpgrade(props, name, option))) {
+        return `${option} already has a ${name}`;
+      }
+      break;
+    case "region":
+      if (!regions.has(option)) {
+        return `"${option}" is not a region`;
+      }
+      if (!regionalOfficeRegions(G, playerID).includes(option)) {
+        return `needs half of ${regions.get(option).name}'s cities with no other player there`;
+      }
+      break;
+    case "commodity":
+      if (!commodities.has(option) || !monopolyTerms(option)) {
+        return `${option} is not supplied by 4, 5 or 6 cities`;
+      }
+      break;
+    default:
+      break;
+  }
+
+  if ((playerProps.cash ?? 0) < upgrade.cost) {
+    return `not enough cash to buy the ${name}`;
+  }
+  return null;
+}
@@ -0,0 +1,45 @@
+import { upgradePurchaseError, regionalOfficeRegions } from './upgrades';
+
+const northwest = ['Seattle', 'Portland OR', 'Spokane', 'Vancouver'];
+
+function game(players, extra = {}) {
+  return { independentRailroads: {}, contracts: [], ...extra, players };
+}
+
+describe('upgradePurchaseError', () => {
+  test('checks cost and duplicate purchases', () => {
+    const G = game([['0', { cash: 10000, activeCities: [], upgrades: [] }]]);
+    expect(upgradePurchaseError(G, '0', 'Upgraded Stations')).toBeNull();
+    expect(upgradePurchaseError(G, '0', 'Timetable')).toMatch(/cash/);
+
+    const owned = game([['0', { cash: 10000, activeCities: [], upgrades: [{ name: 'Upgraded Stations', option: null }] }]]);
+    expect(upgradePurchaseError(owned, '0', 'Upgraded Stations')).toMatch(/already own/);
+  });
+
+  test('locks the Service Yard until someone buys a Consolidation', () => {
+    const players = [['0', { cash: 10000, activeCities: [], upgrades: [] }]];
+    expect(upgradePurchaseError(game(players), '0', 'Service Yard')).toMatch(/Consolidation/);
+    expect(upgradePurchaseError(game(players, { serviceYardUnlocked: true }), '0', 'Service Yard')).toBeNull();
+  });
+
+  test('needs half a region with no other player there for a Regional Office', () => {
+    const alone = game([
+      ['0', { cash: 20000, activeCities: northwest, upgrades: [] }],
+      ['1', { cash: 20000, activeCities: ['Boston'], upgrades: [] }],
+    ]);
+    expect(regionalOfficeRegions(alone, '0')).toEqual(['NW']);
+    expect(upgradePurchaseError(alone, '0', 'Regional Office', 'NW')).toBeNull();
+
+    const shared = game([
+      ['0', { cash: 20000, activeCities: northwest, upgrades: [] }],
+      ['1', { cash: 20000, activeCities: ['Butte'], upgrades: [] }],
+    ]);
+    expect(upgradePurchaseError(shared, '0', 'Regional Office', 'NW')).not.toBeNull();
+  });
+
+  test('needs a monopoly-eligible commodity for a Commodities Exchange Office', () => {
+    const G = game([['0', { cash: 20000, activeCities: [], upgrades: [] }]]);
+    expect(upgradePurchaseError(G, '0', 'Commodities Exchange Office', 'grain')).toBeNull();
+    expect(upgradePurchaseError(G, '0', 'Commodities Exchange Office', 'fish')).not.toBeNull();
+  });
+});
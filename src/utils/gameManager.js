@@ -356,6 +356,22 @@ export async function createNewGame(storageType = 'local', options = {}) {
   }
 }
 
+/**
+ * Detect which storage a game lives in from the current game codes
+ * @param {string} normalizedCode - Normalized game code
+ * @returns {'local'|'cloud'} - Storage type, defaulting to 'local' for backward compatibility
+ */
+function detectStorageType(normalizedCode) {
+  const localCode = localStorage.getItem(CURRENT_GAME_LOCAL_KEY);
+  const cloudCode = localStorage.getItem(CURRENT_GAME_CLOUD_KEY);
+  if (cloudCode === normalizedCode) {
+    return 'cloud';
+  } else if (localCode === normalizedCode) {
+    return 'local';
+  }
+  return 'local';
+}
+
 // Cache for storing last known last_modified timestamps per game
 // Used for optimistic locking in conflict resolution
 const lastModifiedCache = new Map();
@@ -396,20 +412,7 @@ export async function saveGameState(code, G, ctx, storageType = null) {
     const state = { G, ctx };
     
     // Determine storage type if not provided (needed early for fetching existing metadata)
-    let adapterStorageType = storageType;
-    if (!adapterStorageType) {
-      // Try to detect from current game codes
-      const localCode = localStorage.getItem(CURRENT_GAME_LOCAL_KEY);
-      const cloudCode = localStorage.getItem(CURRENT_GAME_CLOUD_KEY);
-      if (cloudCode === normalizedCode) {
-        adapterStorageType = 'cloud';
-      } else if (localCode === normalizedCode) {
-        adapterStorageType = 'local';
-      } else {
-        // Default to local for backward compatibility
-        adapterStorageType = 'local';
-      }
-    }
+    const adapterStorageType = storageType || detectStorageType(normalizedCode);
     
     // Fetch existing metadata to preserve BYOD fields (playerSeats, hostDeviceId, gameMode)
     const adapter = getAdapter(adapterStorageType);
@@ -636,6 +639,27 @@ export async function updateGameMetadata(code, metadata, storageType = 'cloud')
   }
 }
 
+/**
+ * Mark a game as completed in its metadata so the lobby can show the results
+ * @param {string} code - Game code
+ * @param {Array<{name: string, rank: number, total: number}>} finalScores - Ranked final scores from G.finalScores
+ * @param {string} [storageType] - Optional storage type ('local' or 'cloud'). If not provided, tries to detect from current game.
+ * @returns {Promise<boolean>} - True if updated successfully
+ */
+export async function markGameCompleted(code, finalScores, storageType = null) {
+  if (!isValidGameCode(code)) {
+    console.error('[markGameCompleted] Invalid game code format:', code);
+    return false;
+  }
+
+  const normalizedCode = normalizeGameCode(code);
+  return updateGameMetadata(normalizedCode, {
+    completed: true,
+    completedAt: new Date().toISOString(),
+    results: (finalScores || []).map(({ name, rank, total }) => ({ name, rank, total })),
+  }, storageType || detectStorageType(normalizedCode));
+}
+
 /**
  * Assign a player seat to a device in a BYOD game
  * 
@@ -139,3 +139,77 @@ export function shortestDistance(fromKey, toCityTestFn, routeTestFn = () => true
   // No matching city found
   return undefined;
 }
+
+
+/**
+ * Returns the number of segments from a group of cities to every city reachable from them
+ * 
+ * @export
+ * @param {string[]|Set} fromCitiesKeys - Keys of cities to measure from; each is 0 segments away
+ * @param {function} [routeTestFn] - Function to filter routes, receives route object (e.g. r => !r.mountainous)
+ * @returns {Map<string, number>} - Map of city key to the number of segments to the closest of fromCitiesKeys
+ */
+export function distancesFrom(fromCitiesKeys, routeTestFn = () => true) {
+  const distances = new Map([...fromCitiesKeys].map(cityKey => [cityKey, 0]));
+  let currentLevel = [...fromCitiesKeys];
+
+  // Breadth-first search from all the cities at once
+  for (let distance = 1; currentLevel.length > 0; distance++) {
+    const nextLevel = [];
+    for (const currentCity of currentLevel) {
+      for (const routeKey of cities.get(currentCity)?.routes ?? []) {
+        const route = routes.get(routeKey);
+        if (!route || !routeTestFn(route)) continue;
+
+        const neighborCity = route.cities.find(cityOnRoute => cityOnRoute !== currentCity);
+        if (neighborCity && !distances.has(neighborCity)) {
+          distances.set(neighborCity, distance);
+          nextLevel.push(neighborCity);
+        }
+      }
+    }
+    currentLevel = nextLevel;
+  }
+
+  return distances;
+}
+
+
+/**
+ * Returns the least total route length from a group of cities to the nearest city that passes a test,
+ * counting each route's length rather than the number of segments
+ * 
+ * @export
+ * @param {string[]|Set} fromCitiesKeys - Keys of cities to measure from
+ * @param {function} toCityTestFn - Function to test destination city, receives city key string (e.g. c => c === "New York")
+ * @param {function} [routeTestFn] - Function to filter routes, receives route object (e.g. r => !r.mountainous)
+ * @returns {number|undefined} - Total length of the shortest path, or undefined if no matching city is reachable
+ */
+export function shortestTrackLength(fromCitiesKeys, toCityTestFn, routeTestFn = () => true) {
+  const lengths = new Map([...fromCitiesKeys].filter(cityKey => cities.has(cityKey)).map(cityKey => [cityKey, 0]));
+  const settled = new Set();
+
+  // Dijkstra's algorithm; the map is small enough to find the closest unsettled city by scanning
+  while (settled.size < lengths.size) {
+    const [currentCity, length] = [...lengths]
+      .filter(([cityKey]) => !settled.has(cityKey))
+      .reduce((closest, entry) => entry[1] < closest[1] ? entry : closest);
+
+    if (toCityTestFn(currentCity)) {
+      return length;
+    }
+    settled.add(currentCity);
+
+    for (const routeKey of cities.get(currentCity).routes) {
+      const route = routes.get(routeKey);
+      if (!route || !routeTestFn(route)) continue;
+
+      const neighborCity = route.cities.find(cityOnRoute => cityOnRoute !== currentCity);
+      if (neighborCity && !settled.has(neighborCity) && length + route.length < (lengths.get(neighborCity) ?? Infinity)) {
+        lengths.set(neighborCity, length + route.length);
+      }
+    }
+  }
+
+  return undefined;
+}
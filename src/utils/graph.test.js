@@ -0,0 +1,23 @@
+import { distancesFrom } from './graph';
+
+describe('distancesFrom', () => {
+  test('counts segments to every reachable city', () => {
+    const distances = distancesFrom(['Atlanta']);
+    expect(distances.get('Atlanta')).toBe(0);
+    expect(distances.get('Birmingham')).toBe(1);
+    expect(distances.get('Memphis')).toBe(2);
+  });
+
+  test('measures from the closest of several cities', () => {
+    const distances = distancesFrom(new Set(['Atlanta', 'Memphis']));
+    expect(distances.get('Memphis')).toBe(0);
+    expect(distances.get('Birmingham')).toBe(1);
+    expect(distances.get('Dallas')).toBe(1);
+  });
+
+  test('only follows routes that pass the test', () => {
+    const distances = distancesFrom(['Atlanta'], route => !route.cities.includes('Birmingham') || route.cities.includes('Memphis'));
+    // Around by Cincinnati and Memphis instead
+    expect(distances.get('Birmingham')).toBe(3);
+  });
+});
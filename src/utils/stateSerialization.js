@@ -28,6 +28,17 @@ export function serializeState(G, ctx) {
     contracts: deepClone(G.contracts || []),
     players: deepClone(G.players || []),
     independentRailroads: deepClone(G.independentRailroads || {}),
+    serviceYardUnlocked: G.serviceYardUnlocked === true,
+    turnActions: deepClone(G.turnActions || []),
+    monopolies: deepClone(G.monopolies || {}),
+    finalScores: deepClone(G.finalScores || null),
+    history: deepClone(G.history || []),
+    startingRankings: deepClone(G.startingRankings || {}),
+    growthReports: deepClone(G.growthReports || []),
+    growthReportPending: G.growthReportPending === true,
+    connectionBonuses: deepClone(G.connectionBonuses || []),
+    bankruptcy: deepClone(G.bankruptcy || null),
+    nextRoundFirstPlayer: G.nextRoundFirstPlayer ?? null,
   };
 
   // Deep clone ctx, excluding internal properties (prefixed with underscore)
@@ -76,6 +87,17 @@ export function deserializeState(data) {
       contracts: deepClone(G.contracts || []),
       players: deepClone(G.players || []),
       independentRailroads: deepClone(G.independentRailroads || {}),
+      serviceYardUnlocked: G.serviceYardUnlocked === true,
+      turnActions: deepClone(G.turnActions || []),
+      monopolies: deepClone(G.monopolies || {}),
+      finalScores: deepClone(G.finalScores || null),
+      history: deepClone(G.history || []),
+      startingRankings: deepClone(G.startingRankings || {}),
+      growthReports: deepClone(G.growthReports || []),
+      growthReportPending: G.growthReportPending === true,
+      connectionBonuses: deepClone(G.connectionBonuses || []),
+      bankruptcy: deepClone(G.bankruptcy || null),
+      nextRoundFirstPlayer: G.nextRoundFirstPlayer ?? null,
     },
     ctx: deepClone(ctx),
   };